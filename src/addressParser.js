@@ -0,0 +1,310 @@
+const config = require('./config');
+
+/**
+ * Australian address parsing.
+ *
+ * Splits addresses as written by the tracking portal and WFX
+ * ("Unit 3/12-14 Hill Street, Strathfield South New South Wales 2136, Australia")
+ * into unit, street number, street name, street type, suburb, state and
+ * postcode, so two addresses can be compared component by component instead
+ * of by loose word overlap.
+ */
+
+// Street types and their canonical (Australia Post style) abbreviations
+const STREET_TYPES = {
+  street: 'St', st: 'St',
+  road: 'Rd', rd: 'Rd',
+  avenue: 'Ave', ave: 'Ave', av: 'Ave',
+  drive: 'Dr', dr: 'Dr', drv: 'Dr',
+  lane: 'Ln', ln: 'Ln',
+  court: 'Ct', ct: 'Ct',
+  place: 'Pl', pl: 'Pl',
+  crescent: 'Cres', cres: 'Cres', cr: 'Cres',
+  parade: 'Pde', pde: 'Pde',
+  highway: 'Hwy', hwy: 'Hwy',
+  boulevard: 'Bvd', boulevarde: 'Bvd', bvd: 'Bvd', blvd: 'Bvd',
+  close: 'Cl', cl: 'Cl',
+  terrace: 'Tce', tce: 'Tce',
+  circuit: 'Cct', cct: 'Cct',
+  grove: 'Gr', gr: 'Gr',
+  square: 'Sq', sq: 'Sq',
+  esplanade: 'Esp', esp: 'Esp',
+  parkway: 'Pkwy', pkwy: 'Pkwy',
+  motorway: 'Mwy', mwy: 'Mwy',
+  circle: 'Cir', cir: 'Cir',
+  way: 'Way',
+  row: 'Row',
+  walk: 'Walk',
+  rise: 'Rise',
+  loop: 'Loop'
+};
+
+// States and territories, full name or abbreviation -> abbreviation
+const STATES = {
+  'new south wales': 'NSW', nsw: 'NSW',
+  victoria: 'VIC', vic: 'VIC',
+  queensland: 'QLD', qld: 'QLD',
+  'south australia': 'SA', sa: 'SA',
+  'western australia': 'WA', wa: 'WA',
+  tasmania: 'TAS', tas: 'TAS',
+  'australian capital territory': 'ACT', act: 'ACT',
+  'northern territory': 'NT', nt: 'NT'
+};
+
+const STATE_REGEX = new RegExp(`[\\s,]+(${Object.keys(STATES).sort((a, b) => b.length - a.length).join('|')})\\s*$`, 'i');
+const POSTCODE_REGEX = /(?:^|[\s,]+)(\d{4})\s*$/;
+const COORDINATE_REGEX = /^\s*(-?\d{1,2}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)\s*$/;
+// Unit ids need a digit (or are a single letter) so "Flat Rock Rd" isn't a flat
+const UNIT_PREFIX_REGEX = /^(unit|u|apartment|apt|flat|suite|shop|lot)\s*\.?\s*([a-z]?\d+[a-z]?|[a-z])\b\s*[,/]?\s*/i;
+const SLASH_UNIT_REGEX = /^([a-z0-9]+)\s*\/\s*(?=\d)/i;
+const STREET_NUMBER_REGEX = /^(\d+)([a-z])?(?:\s*-\s*(\d+)[a-z]?)?\b\s*/i;
+
+/**
+ * Title-case a name ("STRATHFIELD south" -> "Strathfield South")
+ */
+function titleCase(text) {
+  return text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Parse the street segment ("Unit 3/12-14 Hill Street")
+ * @param {string} text - Street segment
+ * @returns {Object} Street components
+ */
+function parseStreet(text) {
+  const street = { unitType: null, unit: null, streetNumber: null, numberFrom: null, numberTo: null, streetName: null, streetType: null };
+  let rest = text.trim();
+
+  const unitPrefix = rest.match(UNIT_PREFIX_REGEX);
+  if (unitPrefix) {
+    street.unitType = unitPrefix[1].toLowerCase() === 'lot' ? 'lot' : 'unit';
+    street.unit = unitPrefix[2].toUpperCase();
+    rest = rest.slice(unitPrefix[0].length);
+  }
+
+  // "3/12 Hill St" - unit 3 at number 12
+  const slashUnit = rest.match(SLASH_UNIT_REGEX);
+  if (slashUnit) {
+    street.unitType = street.unitType || 'unit';
+    street.unit = slashUnit[1].toUpperCase();
+    rest = rest.slice(slashUnit[0].length);
+  }
+
+  const number = rest.match(STREET_NUMBER_REGEX);
+  if (number) {
+    street.numberFrom = parseInt(number[1], 10);
+    street.numberTo = number[3] ? parseInt(number[3], 10) : street.numberFrom;
+    street.streetNumber = number[3]
+      ? `${number[1]}-${number[3]}`
+      : `${number[1]}${(number[2] || '').toUpperCase()}`;
+    rest = rest.slice(number[0].length);
+  }
+
+  const words = rest.split(/\s+/).filter(Boolean);
+  const lastWord = (words[words.length - 1] || '').toLowerCase().replace(/\.$/, '');
+  // A lone type word is the name itself ("12 Esplanade")
+  if (words.length > 1 && STREET_TYPES[lastWord]) {
+    street.streetType = STREET_TYPES[lastWord];
+    words.pop();
+  }
+  street.streetName = words.length > 0 ? titleCase(words.join(' ')) : null;
+
+  return street;
+}
+
+/**
+ * Split "2 Hill Street Strathfield South" (no comma) at the street type
+ * @param {string} text - Street and suburb without a separator
+ * @returns {Array<string>} [street, suburb]
+ */
+function splitAtStreetType(text) {
+  const words = text.split(/\s+/);
+  // Skip the first word so a suburb like "St Marys" isn't read as a street type
+  for (let i = words.length - 2; i >= 1; i--) {
+    if (STREET_TYPES[words[i].toLowerCase().replace(/\.$/, '')]) {
+      return [words.slice(0, i + 1).join(' '), words.slice(i + 1).join(' ')];
+    }
+  }
+  return /^\d/.test(text) ? [text, ''] : ['', text];
+}
+
+/**
+ * Parse an Australian address into its components
+ * @param {string} address - Address text (commas or new lines between parts)
+ * @returns {Object} { raw, unitType, unit, streetNumber, numberFrom, numberTo,
+ *                     streetName, streetType, suburb, state, postcode, coordinates }
+ */
+function parseAddress(address) {
+  const raw = String(address || '');
+  const parsed = {
+    raw,
+    unitType: null,
+    unit: null,
+    streetNumber: null,
+    numberFrom: null,
+    numberTo: null,
+    streetName: null,
+    streetType: null,
+    suburb: null,
+    state: null,
+    postcode: null,
+    coordinates: null
+  };
+
+  const coordinates = raw.match(COORDINATE_REGEX);
+  if (coordinates) {
+    parsed.coordinates = { lat: parseFloat(coordinates[1]), lon: parseFloat(coordinates[2]) };
+    return parsed;
+  }
+
+  let rest = raw
+    .replace(/\r?\n/g, ', ')
+    .replace(/[,\s]+australia\s*$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const postcode = rest.match(POSTCODE_REGEX);
+  if (postcode) {
+    parsed.postcode = postcode[1];
+    rest = rest.slice(0, postcode.index);
+  }
+
+  const state = rest.match(STATE_REGEX);
+  if (state) {
+    parsed.state = STATES[state[1].toLowerCase()];
+    rest = rest.slice(0, state.index);
+  }
+
+  const segments = rest.split(',').map(segment => segment.trim()).filter(Boolean);
+  let streetText = '';
+  let suburbText = '';
+  if (segments.length > 1) {
+    suburbText = segments.pop();
+    // Building names and the like come before the street - keep the part with
+    // the number, plus a separate "Shop 4," style unit segment before it
+    let streetIndex = segments.length - 1;
+    while (streetIndex > 0 && !/\d/.test(segments[streetIndex])) streetIndex--;
+    const unitSegment = streetIndex > 0 && UNIT_PREFIX_REGEX.test(segments[streetIndex - 1]) ? segments[streetIndex - 1] : null;
+    streetText = unitSegment ? `${unitSegment} ${segments[streetIndex]}` : segments[streetIndex];
+  } else if (segments.length === 1) {
+    [streetText, suburbText] = splitAtStreetType(segments[0]);
+  }
+
+  if (streetText) Object.assign(parsed, parseStreet(streetText));
+  if (suburbText) parsed.suburb = titleCase(suburbText);
+
+  return parsed;
+}
+
+/**
+ * Format parsed components as one canonical address
+ * ("Unit 3, 12 Hill St, Strathfield South NSW 2136")
+ * @param {Object} parsed - Result of parseAddress
+ * @returns {string} Canonical address
+ */
+function formatAddress(parsed) {
+  if (parsed.coordinates) {
+    return `${parsed.coordinates.lat.toFixed(5)}, ${parsed.coordinates.lon.toFixed(5)}`;
+  }
+
+  const unit = parsed.unit ? `${parsed.unitType === 'lot' ? 'Lot' : 'Unit'} ${parsed.unit}` : null;
+  const street = [parsed.streetNumber, parsed.streetName, parsed.streetType].filter(Boolean).join(' ');
+  const locality = [parsed.suburb, parsed.state, parsed.postcode].filter(Boolean).join(' ');
+
+  return [unit, street, locality].filter(Boolean).join(', ');
+}
+
+/**
+ * Canonicalize an address so spelling variants compare and cache equal
+ * @param {string} address - Address text
+ * @returns {string} Canonical address
+ */
+function canonicalizeAddress(address) {
+  return formatAddress(parseAddress(address));
+}
+
+/**
+ * Gap between two street numbers or number ranges (0 when they overlap)
+ */
+function streetNumberGap(a, b) {
+  if (a.numberTo < b.numberFrom) return b.numberFrom - a.numberTo;
+  if (b.numberTo < a.numberFrom) return a.numberFrom - b.numberTo;
+  return 0;
+}
+
+/**
+ * Compare two addresses component by component.
+ *
+ * Postcode and suburb are gates: when both addresses give one and they
+ * differ, the addresses don't match at all. The remaining components are
+ * weighted (processing.addressMatching.weights); a component missing from
+ * either address counts as half a match. Street
+ * numbers within processing.addressMatching.streetNumberTolerance of each
+ * other (or overlapping ranges like 12-14 and 14) are the same site.
+ * @param {string|Object} addressA - Address text or parseAddress result
+ * @param {string|Object} addressB - Address text or parseAddress result
+ * @returns {Object} { score (0-1), sameSite, mismatch, components }
+ */
+function compareAddresses(addressA, addressB) {
+  const a = typeof addressA === 'string' ? parseAddress(addressA) : addressA;
+  const b = typeof addressB === 'string' ? parseAddress(addressB) : addressB;
+  const { weights, streetNumberTolerance } = config.processing.addressMatching;
+
+  if (a.postcode && b.postcode && a.postcode !== b.postcode) {
+    return { score: 0, sameSite: false, mismatch: 'postcode', components: { locality: 0 } };
+  }
+  if (a.suburb && b.suburb && a.suburb !== b.suburb) {
+    return { score: 0, sameSite: false, mismatch: 'suburb', components: { locality: 0 } };
+  }
+
+  // Unknown components (missing from either address) count as half a match
+  const components = { locality: 0.5, street: 0.5, number: 0.5, unit: 0.5 };
+
+  if ((a.postcode && b.postcode) || (a.suburb && b.suburb)) {
+    components.locality = 1;
+  }
+
+  if (a.streetName && b.streetName) {
+    const sameType = !a.streetType || !b.streetType || a.streetType === b.streetType;
+    components.street = a.streetName === b.streetName && sameType ? 1 : 0;
+  }
+
+  // Numbers and units on different streets say nothing about the site
+  if (components.street === 0) {
+    components.number = 0;
+    components.unit = 0;
+  } else {
+    if (a.numberFrom !== null && b.numberFrom !== null) {
+      components.number = streetNumberGap(a, b) <= streetNumberTolerance ? 1 : 0;
+    }
+    if (a.unit && b.unit) {
+      components.unit = a.unit === b.unit && a.unitType === b.unitType ? 1 : 0;
+    } else if (!a.unit && !b.unit) {
+      components.unit = 1;
+    }
+  }
+
+  const keys = Object.keys(weights);
+  const totalWeight = keys.reduce((sum, key) => sum + weights[key], 0);
+  const score = totalWeight > 0
+    ? keys.reduce((sum, key) => sum + weights[key] * components[key], 0) / totalWeight
+    : 0;
+
+  // Different units or lots at one street number are different sites
+  const unitMismatch = Boolean(a.unit && b.unit && components.unit === 0);
+
+  return {
+    score,
+    sameSite: components.street === 1 && components.number === 1 && components.locality === 1 && !unitMismatch,
+    mismatch: components.street === 0 ? 'street' : (unitMismatch ? 'unit' : null),
+    components
+  };
+}
+
+module.exports = {
+  STREET_TYPES,
+  parseAddress,
+  formatAddress,
+  canonicalizeAddress,
+  compareAddresses
+};
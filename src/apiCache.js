@@ -0,0 +1,286 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('./config');
+const timezone = require('./timezone');
+
+/**
+ * Persistent WFX API response cache.
+ *
+ * GET responses are kept in data/api_cache.json so they survive CLI runs and
+ * dashboard restarts. Each endpoint has its own lifetime (apiCache.ttlMinutes,
+ * matched by path prefix): jobs and staff rarely change, while time entries
+ * for the current week change all the time. When the file grows past
+ * apiCache.maxSizeMB the least recently used responses are dropped.
+ *
+ * Entries can be invalidated by endpoint, by staff member (any response that
+ * mentions their WFX id) or by date range (responses whose from/to overlap it).
+ */
+
+/**
+ * Build the cache key for a request. The base URL is part of it, so
+ * responses from the mock server (WFX_BASE_URL) never stand in for real ones.
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Request parameters
+ * @returns {string} Key
+ */
+function cacheKey(endpoint, params) {
+  return `${config.wfx.baseUrl}${endpoint}_${JSON.stringify(params || {})}`;
+}
+
+// One store per file, so every API client in a process shares it
+const instances = new Map();
+
+class ApiCache {
+  /**
+   * @param {Object} options - Overrides for the configured settings
+   */
+  constructor(options = {}) {
+    this.settings = { ...config.apiCache, ...options };
+    this.entries = this.loadSync();
+    this.hits = 0;
+    this.misses = 0;
+    this.saving = Promise.resolve();
+    this.savePending = false;
+  }
+
+  /**
+   * Get the shared cache for the configured file
+   * @returns {ApiCache} Cache
+   */
+  static getInstance() {
+    const { file } = config.apiCache;
+    if (!instances.has(file)) instances.set(file, new ApiCache({ file }));
+    return instances.get(file);
+  }
+
+  /**
+   * Load the cache file
+   */
+  loadSync() {
+    try {
+      return new Map(Object.entries(JSON.parse(fs.readFileSync(this.settings.file, 'utf8'))));
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  /**
+   * Work out how long a response stays fresh
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Request parameters
+   * @returns {number} Minutes
+   */
+  getTtlMinutes(endpoint, params = {}) {
+    const { ttlMinutes, currentWeekTtlMinutes } = this.settings;
+
+    // Time entries reaching into this week are still being filled in
+    if (endpoint.startsWith('/time.api') && params.to) {
+      const weekStart = moment.tz(timezone.getDefaultTimezone()).startOf('isoWeek').format('YYYY-MM-DD');
+      if (String(params.to).substring(0, 10) >= weekStart) return currentWeekTtlMinutes;
+    }
+
+    // Longest matching prefix wins ('/job.api/get' covers '/job.api/get/123')
+    const prefix = Object.keys(ttlMinutes)
+      .filter(candidate => candidate !== 'default' && endpoint.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? ttlMinutes[prefix] : ttlMinutes.default;
+  }
+
+  /**
+   * Get a fresh cached response
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Request parameters
+   * @returns {*} Cached data, or undefined on a miss
+   */
+  get(endpoint, params) {
+    const key = cacheKey(endpoint, params);
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) {
+        this.entries.delete(key);
+        this.scheduleSave();
+      }
+      this.misses++;
+      return undefined;
+    }
+
+    entry.lastUsedAt = Date.now();
+    this.hits++;
+    return entry.data;
+  }
+
+  /**
+   * Store a response
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Request parameters
+   * @param {*} data - Response data
+   */
+  set(endpoint, params, data) {
+    const ttlMinutes = this.getTtlMinutes(endpoint, params || {});
+    if (!ttlMinutes) return;
+
+    const now = Date.now();
+    this.entries.set(cacheKey(endpoint, params), {
+      endpoint,
+      params: params || {},
+      data,
+      bytes: Buffer.byteLength(JSON.stringify(data) || ''),
+      storedAt: now,
+      lastUsedAt: now,
+      expiresAt: now + ttlMinutes * 60 * 1000
+    });
+
+    this.enforceSizeLimit();
+    this.scheduleSave();
+  }
+
+  /**
+   * Drop expired entries, then least recently used ones until under the size limit
+   */
+  enforceSizeLimit() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    });
+
+    const maxBytes = this.settings.maxSizeMB * 1024 * 1024;
+    let total = this.getSizeBytes();
+    if (total <= maxBytes) return;
+
+    const byAge = [...this.entries.entries()].sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+    for (const [key, entry] of byAge) {
+      if (total <= maxBytes) break;
+      this.entries.delete(key);
+      total -= entry.bytes;
+    }
+  }
+
+  /**
+   * Remove entries matching every filter given
+   * @param {Object} filters - Filters
+   * @param {string} filters.endpoint - Endpoint prefix (e.g. '/time.api')
+   * @param {string} filters.staffId - WFX staff id mentioned in the response
+   * @param {string} filters.from - Start of a date range (YYYY-MM-DD)
+   * @param {string} filters.to - End of a date range (YYYY-MM-DD)
+   * @returns {number} Entries removed
+   */
+  invalidate(filters = {}) {
+    const { endpoint, staffId, from, to } = filters;
+    const staffKey = staffId ? String(staffId).toLowerCase() : null;
+    let removed = 0;
+
+    this.entries.forEach((entry, key) => {
+      if (endpoint && !entry.endpoint.startsWith(endpoint)) return;
+      if (staffKey && !JSON.stringify(entry.data).toLowerCase().includes(staffKey)) return;
+      if (from || to) {
+        // Responses without a date range (a single job, the staff list) aren't date-bound
+        const entryFrom = entry.params.from ? String(entry.params.from).substring(0, 10) : null;
+        const entryTo = entry.params.to ? String(entry.params.to).substring(0, 10) : entryFrom;
+        if (!entryFrom) return;
+        if ((to && entryFrom > to) || (from && entryTo < from)) return;
+      }
+
+      this.entries.delete(key);
+      removed++;
+    });
+
+    if (removed > 0) this.scheduleSave();
+    return removed;
+  }
+
+  /**
+   * Remove every entry
+   * @returns {number} Entries removed
+   */
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.scheduleSave();
+    return removed;
+  }
+
+  /**
+   * Total size of the cached responses
+   * @returns {number} Bytes
+   */
+  getSizeBytes() {
+    let total = 0;
+    this.entries.forEach(entry => {
+      total += entry.bytes;
+    });
+    return total;
+  }
+
+  /**
+   * Write the cache file after the current batch of changes
+   */
+  scheduleSave() {
+    if (this.savePending) return;
+    this.savePending = true;
+    this.saving = this.saving.then(() => {
+      this.savePending = false;
+      return this.save();
+    });
+  }
+
+  /**
+   * Write the cache file
+   */
+  async save() {
+    try {
+      await fsPromises.mkdir(path.dirname(this.settings.file), { recursive: true });
+      await fsPromises.writeFile(this.settings.file, JSON.stringify(Object.fromEntries(this.entries)));
+    } catch (error) {
+      console.warn(`⚠️  Could not save API cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for pending writes
+   * @returns {Promise} Resolves once the file is up to date
+   */
+  flush() {
+    return this.saving;
+  }
+
+  /**
+   * Describe the cache contents
+   * @returns {Object} { file, size, sizeBytes, maxSizeBytes, hits, misses, byEndpoint, entries }
+   */
+  getStats() {
+    const byEndpoint = {};
+    const now = Date.now();
+    const entries = [...this.entries.entries()].map(([key, entry]) => {
+      // Group '/job.api/get/123' and '/job.api/get/456' together
+      const group = entry.endpoint.split('/').slice(0, 3).join('/');
+      if (!byEndpoint[group]) byEndpoint[group] = { entries: 0, bytes: 0 };
+      byEndpoint[group].entries++;
+      byEndpoint[group].bytes += entry.bytes;
+
+      return {
+        key,
+        endpoint: entry.endpoint,
+        params: entry.params,
+        bytes: entry.bytes,
+        storedAt: new Date(entry.storedAt).toISOString(),
+        expiresInMinutes: Math.max(0, Math.round((entry.expiresAt - now) / 60000))
+      };
+    });
+
+    return {
+      file: this.settings.file,
+      size: this.entries.size,
+      sizeBytes: this.getSizeBytes(),
+      maxSizeBytes: this.settings.maxSizeMB * 1024 * 1024,
+      hits: this.hits,
+      misses: this.misses,
+      byEndpoint,
+      entries
+    };
+  }
+}
+
+module.exports = ApiCache;
@@ -0,0 +1,161 @@
+const config = require('./config');
+const { timeToMinutes } = require('./csvParser');
+
+/**
+ * Break detection.
+ *
+ * Works out the breaks a person actually took from the day's trips and
+ * visits instead of assuming a flat deduction:
+ *   - stops at a lunch place (config.places category 'lunch')
+ *   - parking at home between work trips (home in the middle of the day)
+ *   - long idle periods (parked with the engine running before a trip)
+ * and checks whether a long enough break started before
+ * processing.workingHours.breakAfterHours into the shift.
+ */
+
+/**
+ * Format minutes into the shift as HH:mm (wrapping past midnight)
+ */
+function formatMinutes(minutes) {
+  const wrapped = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Infer the breaks taken during one shift
+ * @param {Array} trips - The shift's classified trips (with shift minutes from groupTripsByDate)
+ * @param {Array} visits - The shift's visits from siteVisits.buildVisits
+ * @returns {Array} [{ start, end, minutes, startTime, source, location }] in start order
+ */
+function inferBreaks(trips, visits) {
+  const { minBreakMinutes, minIdleBreakMinutes } = config.processing.breaks;
+  const breaks = [];
+
+  const startOf = trip => (trip.shiftStartMinutes !== undefined ? trip.shiftStartMinutes : timeToMinutes(trip['Started, time']));
+  const finishOf = trip => (trip.shiftFinishMinutes !== undefined ? trip.shiftFinishMinutes : timeToMinutes(trip['Finish, time']));
+  const workTrips = trips.filter(trip => trip.billable);
+
+  visits.forEach(visit => {
+    let source = null;
+    if (visit.place && visit.place.category === 'lunch') {
+      source = 'lunch_place';
+    } else if (visit.isHome
+      && workTrips.some(trip => finishOf(trip) <= visit.arrivalMinutes)
+      && workTrips.some(trip => startOf(trip) >= visit.departureMinutes)) {
+      // Home between work trips - not the end of the day, and not a later
+      // personal outing or a home-to-home blip
+      source = 'home_stop';
+    }
+    if (!source || visit.dwellMinutes < minBreakMinutes) return;
+
+    breaks.push({
+      start: visit.arrivalMinutes,
+      end: visit.departureMinutes,
+      minutes: visit.dwellMinutes,
+      source,
+      location: visit.place ? visit.place.name : visit.address
+    });
+  });
+
+  if (minIdleBreakMinutes) {
+    const shiftStart = Math.min(...trips.map(startOf));
+
+    trips.forEach(trip => {
+      // The portal reports idling often longer than the trip itself - it's the
+      // engine running while parked before setting off. Idling before the
+      // shift's first trip isn't part of the shift.
+      const tripStart = startOf(trip);
+      const start = Math.max(shiftStart, tripStart - Math.round(timeToMinutes(trip['Idling Time'])));
+      const idleMinutes = tripStart - start;
+      if (idleMinutes < Math.max(minBreakMinutes, minIdleBreakMinutes)) return;
+
+      breaks.push({
+        start,
+        end: tripStart,
+        minutes: idleMinutes,
+        source: 'idle',
+        location: trip['Address from'] || ''
+      });
+    });
+  }
+
+  return breaks
+    .sort((a, b) => a.start - b.start)
+    .map(entry => ({ ...entry, startTime: formatMinutes(entry.start) }));
+}
+
+/**
+ * Find the trip that ends the working day: the first return home after the
+ * last work (billable) trip, or the day's last trip when there isn't one
+ * @param {Array} trips - The shift's classified trips in time order
+ * @returns {Object|null} Trip
+ */
+function findShiftEndTrip(trips) {
+  const lastWorkIndex = trips.map(trip => Boolean(trip.billable)).lastIndexOf(true);
+  const returnHome = lastWorkIndex === -1
+    ? null
+    : trips.slice(lastWorkIndex).find(trip => trip.homeEvidence && trip.homeEvidence.to);
+  return returnHome || trips[trips.length - 1] || null;
+}
+
+/**
+ * Check a shift's breaks against the break rule
+ * @param {Array} breaks - Breaks from inferBreaks
+ * @param {number} shiftStartMinutes - When the shift started (minutes into the shift day)
+ * @param {number} workedMinutes - Total span of the shift
+ * @returns {Object} { required, compliant, deadline, firstBreakAt, longestBreakMinutes, message }
+ */
+function checkCompliance(breaks, shiftStartMinutes, workedMinutes) {
+  const { breakDurationMinutes: minCompliantBreakMinutes, breakAfterHours } = config.processing.workingHours;
+  const deadlineMinutes = shiftStartMinutes + breakAfterHours * 60;
+  const required = workedMinutes > breakAfterHours * 60;
+
+  const qualifying = breaks.filter(entry => entry.minutes >= minCompliantBreakMinutes);
+  const inTime = qualifying.find(entry => entry.start <= deadlineMinutes);
+  const longestBreakMinutes = breaks.reduce((longest, entry) => Math.max(longest, entry.minutes), 0);
+
+  let message;
+  if (!required) {
+    message = `Shift under ${breakAfterHours}h - no break required`;
+  } else if (inTime) {
+    message = `${inTime.minutes} min break at ${inTime.startTime}`;
+  } else if (qualifying.length > 0) {
+    message = `First ${minCompliantBreakMinutes}+ min break at ${qualifying[0].startTime}, after the ${formatMinutes(deadlineMinutes)} limit`;
+  } else {
+    message = `No break of ${minCompliantBreakMinutes}+ min found`;
+  }
+
+  return {
+    required,
+    compliant: !required || Boolean(inTime),
+    deadline: formatMinutes(deadlineMinutes),
+    firstBreakAt: qualifying.length > 0 ? qualifying[0].startTime : null,
+    longestBreakMinutes,
+    message
+  };
+}
+
+/**
+ * Total break minutes, counting overlapping breaks once
+ * @param {Array} breaks - Breaks from inferBreaks
+ * @returns {number} Minutes
+ */
+function totalBreakMinutes(breaks) {
+  let total = 0;
+  let coveredUntil = -Infinity;
+
+  breaks.forEach(entry => {
+    const start = Math.max(entry.start, coveredUntil);
+    if (entry.end > start) total += entry.end - start;
+    coveredUntil = Math.max(coveredUntil, entry.end);
+  });
+
+  return Math.round(total);
+}
+
+module.exports = {
+  inferBreaks,
+  findShiftEndTrip,
+  checkCompliance,
+  totalBreakMinutes
+};
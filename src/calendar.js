@@ -0,0 +1,133 @@
+const fs = require('fs');
+const moment = require('moment');
+const config = require('./config');
+const rosters = require('./rosters');
+
+/**
+ * Working-day calendar.
+ *
+ * Trips on a day nobody was meant to work - a public holiday, a weekend, a
+ * company shutdown or a rostered day off - are usually private use of the van,
+ * not a missing timesheet. The calendar says what kind of day a date is:
+ *
+ *   - public holidays from the bundled, editable
+ *     resources/calendar/nsw_public_holidays.json plus calendar.publicHolidays
+ *   - company shutdowns: calendar.shutdowns [{ from, to, label }]
+ *   - days the staff member's roster has no shift on (src/rosters.js), or
+ *     without a roster, weekends: days outside calendar.workingDays
+ *   - rostered days off per staff member:
+ *
+ *       rdos: ['2025-05-16', { from: '2025-05-30', everyDays: 14, to: '2025-12-31' }]
+ */
+
+let holidayCache = null;
+
+/**
+ * Load the public holidays (bundled file plus configured extras)
+ * @returns {Map} Date (YYYY-MM-DD) -> holiday name
+ */
+function getPublicHolidays() {
+  if (holidayCache) return holidayCache;
+
+  const settings = config.calendar;
+  holidayCache = new Map();
+
+  if (settings.publicHolidaysFile && fs.existsSync(settings.publicHolidaysFile)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(settings.publicHolidaysFile, 'utf8'));
+      (Array.isArray(data) ? data : data.holidays || []).forEach(holiday => {
+        holidayCache.set(holiday.date, holiday.name || 'Public holiday');
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not read public holidays from ${settings.publicHolidaysFile}: ${error.message}`);
+    }
+  }
+
+  settings.publicHolidays.forEach(holiday => {
+    if (typeof holiday === 'string') {
+      holidayCache.set(holiday, 'Public holiday');
+    } else if (holiday && holiday.date) {
+      holidayCache.set(holiday.date, holiday.name || 'Public holiday');
+    }
+  });
+
+  return holidayCache;
+}
+
+/**
+ * Check whether a date is a public holiday
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean} True on a public holiday
+ */
+function isPublicHoliday(date) {
+  return getPublicHolidays().has(date);
+}
+
+/**
+ * Find the shutdown covering a date
+ */
+function findShutdown(date) {
+  return config.calendar.shutdowns.find(shutdown =>
+    (!shutdown.from || shutdown.from <= date) && (!shutdown.to || date <= shutdown.to)
+  ) || null;
+}
+
+/**
+ * Check whether a date is one of a staff member's rostered days off
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {boolean} True on an RDO
+ */
+function isRdo(date, staffConfig = {}) {
+  return (staffConfig.rdos || []).some(rdo => {
+    if (typeof rdo === 'string') return rdo === date;
+    if (!rdo || !rdo.from || date < rdo.from || (rdo.to && date > rdo.to)) return false;
+    if (!rdo.everyDays) return date === rdo.from;
+
+    const days = moment(date, 'YYYY-MM-DD').diff(moment(rdo.from, 'YYYY-MM-DD'), 'days');
+    return days % rdo.everyDays === 0;
+  });
+}
+
+/**
+ * Work out what kind of day a date is for a staff member
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {Object} { dayType: working|public_holiday|shutdown|rdo|unrostered|weekend, label, isWorkingDay }
+ */
+function getDayInfo(date, staffConfig = {}) {
+  const holidayName = getPublicHolidays().get(date);
+  if (holidayName) {
+    return { dayType: 'public_holiday', label: holidayName, isWorkingDay: false };
+  }
+
+  const shutdown = findShutdown(date);
+  if (shutdown) {
+    return { dayType: 'shutdown', label: shutdown.label || 'Company shutdown', isWorkingDay: false };
+  }
+
+  if (isRdo(date, staffConfig)) {
+    return { dayType: 'rdo', label: 'Rostered day off', isWorkingDay: false };
+  }
+
+  if (rosters.hasRoster(staffConfig)) {
+    const rostered = rosters.getRosteredShifts(date, staffConfig);
+    return rostered.shifts.length > 0 || rostered.onCall
+      ? { dayType: 'working', label: null, isWorkingDay: true }
+      : { dayType: 'unrostered', label: 'Not rostered', isWorkingDay: false };
+  }
+
+  const workingDays = staffConfig.workingDays || config.calendar.workingDays;
+  if (!workingDays.includes(moment(date, 'YYYY-MM-DD').isoWeekday())) {
+    return { dayType: 'weekend', label: moment(date, 'YYYY-MM-DD').format('dddd'), isWorkingDay: false };
+  }
+
+  return { dayType: 'working', label: null, isWorkingDay: true };
+}
+
+module.exports = {
+  getPublicHolidays,
+  isPublicHoliday,
+  isRdo,
+  getDayInfo
+};
@@ -0,0 +1,195 @@
+const config = require('./config');
+
+/**
+ * Declarative trip classification rules.
+ *
+ * Each trip is checked against an ordered list of rules; the first rule whose
+ * `when` conditions all hold decides the trip's classification and whether
+ * (and how much of) it is billable. The rule's id is recorded on the trip.
+ *
+ *   { id: 'commute-first-30-unpaid',
+ *     when: { from: 'home', position: 'first' },
+ *     classification: 'commute', billable: true, unpaidMinutes: 30 }
+ *
+ * Conditions:
+ *   from / to / touches - kind of stop at the start, the end, or either end:
+ *                         home, depot, supplier, fuel, lunch, client_site or
+ *                         site (an address that is none of those); a string,
+ *                         an array of kinds, or 'any'
+ *   position            - first, last, only (the day's single trip) or middle
+ *   minDrivingMinutes / maxDrivingMinutes
+ *
+ * Rule sets live under config.classification.ruleSets and are picked per
+ * person with `classificationRules` (a set name or an inline array), falling
+ * back to config.classification.defaultRuleSet. The built-in rules below run
+ * after the chosen set, so a set only has to list the exceptions.
+ */
+
+const STOP_KINDS = ['home', 'depot', 'supplier', 'fuel', 'lunch', 'client_site', 'site'];
+const POSITIONS = ['first', 'last', 'only', 'middle'];
+const CONDITION_KEYS = ['from', 'to', 'touches', 'position', 'minDrivingMinutes', 'maxDrivingMinutes'];
+
+// The classification this repo has always used, expressed as rules
+const BUILT_IN_RULES = [
+  { id: 'builtin:home-first', when: { from: 'home', position: ['first', 'only'] }, classification: 'personal_morning', billable: false },
+  { id: 'builtin:home-last', when: { to: 'home', position: 'last' }, classification: 'personal_evening', billable: false },
+  { id: 'builtin:home-other', when: { touches: 'home' }, classification: 'personal_mixed', billable: false },
+  { id: 'builtin:depot', when: { to: 'depot' }, classification: 'depot', billable: true },
+  { id: 'builtin:supplier', when: { to: 'supplier' }, classification: 'supplier_run', billable: true },
+  { id: 'builtin:fuel', when: { to: 'fuel' }, classification: 'fuel', billable: true },
+  { id: 'builtin:lunch', when: { to: 'lunch' }, classification: 'lunch', billable: false },
+  { id: 'builtin:work', when: {}, classification: 'work', billable: true }
+];
+
+/**
+ * Get the rules that apply to a staff member, in the order they're checked
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {Array} Rules (the person's set, then the built-in rules)
+ */
+function getRules(staffConfig = {}) {
+  const { ruleSets, defaultRuleSet } = config.classification;
+  const selected = staffConfig.classificationRules || defaultRuleSet;
+
+  let rules = [];
+  if (Array.isArray(selected)) {
+    rules = selected;
+  } else if (selected) {
+    rules = ruleSets[selected] || [];
+  }
+
+  return [...rules, ...BUILT_IN_RULES];
+}
+
+/**
+ * Check a value against a condition that may be a string, an array or 'any'
+ */
+function matchesAny(condition, value) {
+  if (condition === undefined || condition === 'any') return true;
+  return (Array.isArray(condition) ? condition : [condition]).includes(value);
+}
+
+/**
+ * Check whether a rule's conditions hold for a trip
+ * @param {Object} rule - Rule
+ * @param {Object} facts - { from, to, position, drivingMinutes }
+ * @returns {boolean} True if every condition holds
+ */
+function ruleMatches(rule, facts) {
+  const when = rule.when || {};
+
+  if (!matchesAny(when.from, facts.from)) return false;
+  if (!matchesAny(when.to, facts.to)) return false;
+  if (when.touches !== undefined && when.touches !== 'any' &&
+      !matchesAny(when.touches, facts.from) && !matchesAny(when.touches, facts.to)) {
+    return false;
+  }
+  if (when.position !== undefined) {
+    // The day's only trip is both its first and its last
+    const positions = facts.position === 'only' ? ['only', 'first', 'last'] : [facts.position];
+    if (!positions.some(position => matchesAny(when.position, position))) return false;
+  }
+  if (when.minDrivingMinutes !== undefined && facts.drivingMinutes < when.minDrivingMinutes) return false;
+  if (when.maxDrivingMinutes !== undefined && facts.drivingMinutes > when.maxDrivingMinutes) return false;
+
+  return true;
+}
+
+/**
+ * Work out a trip's position in its day
+ * @param {number} index - Trip index within the day
+ * @param {number} count - Number of trips that day
+ * @returns {string} first, last, only or middle
+ */
+function getPosition(index, count) {
+  if (count === 1) return 'only';
+  if (index === 0) return 'first';
+  if (index === count - 1) return 'last';
+  return 'middle';
+}
+
+/**
+ * Classify a trip
+ * @param {Object} facts - { from, to, position, drivingMinutes } - from/to are stop kinds
+ * @param {Array} rules - Rules from getRules
+ * @returns {Object} { classification, billable, ruleId, billableMinutes, unpaidMinutes }
+ */
+function classifyTrip(facts, rules) {
+  const rule = rules.find(candidate => ruleMatches(candidate, facts));
+  const drivingMinutes = facts.drivingMinutes || 0;
+
+  // The built-in catch-all always matches, but a custom list passed in directly may not
+  if (!rule) {
+    return { classification: 'work', billable: true, ruleId: null, billableMinutes: drivingMinutes, unpaidMinutes: 0 };
+  }
+
+  const billable = rule.billable !== false;
+  const unpaidMinutes = billable ? Math.min(drivingMinutes, rule.unpaidMinutes || 0) : drivingMinutes;
+
+  return {
+    classification: rule.classification || 'work',
+    billable,
+    ruleId: rule.id || null,
+    billableMinutes: drivingMinutes - unpaidMinutes,
+    unpaidMinutes
+  };
+}
+
+/**
+ * Check a rule list for mistakes that would make it silently never fire
+ * @param {Array} rules - Rules (without the built-in ones)
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateRules(rules) {
+  const problems = [];
+  const ids = new Set();
+
+  rules.forEach((rule, index) => {
+    const label = rule.id ? `rule "${rule.id}"` : `rule ${index + 1}`;
+
+    if (!rule.id) problems.push(`${label}: missing id`);
+    if (rule.id && ids.has(rule.id)) problems.push(`${label}: duplicate id`);
+    ids.add(rule.id);
+
+    if (!rule.classification) problems.push(`${label}: missing classification`);
+
+    Object.entries(rule.when || {}).forEach(([key, value]) => {
+      if (!CONDITION_KEYS.includes(key)) {
+        problems.push(`${label}: unknown condition "${key}"`);
+        return;
+      }
+      const values = Array.isArray(value) ? value : [value];
+      if (['from', 'to', 'touches'].includes(key) && values.some(kind => kind !== 'any' && !STOP_KINDS.includes(kind))) {
+        problems.push(`${label}: ${key} must be one of ${STOP_KINDS.join(', ')}`);
+      }
+      if (key === 'position' && values.some(position => !POSITIONS.includes(position))) {
+        problems.push(`${label}: position must be one of ${POSITIONS.join(', ')}`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Check the rule set a staff member uses
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateStaffRules(staffConfig) {
+  const { ruleSets, defaultRuleSet } = config.classification;
+  const selected = staffConfig.classificationRules || defaultRuleSet;
+
+  if (selected && !Array.isArray(selected) && !ruleSets[selected]) {
+    return [`classification rule set "${selected}" is not defined`];
+  }
+  return validateRules(getRules(staffConfig).filter(rule => !BUILT_IN_RULES.includes(rule)));
+}
+
+module.exports = {
+  STOP_KINDS,
+  getRules,
+  getPosition,
+  classifyTrip,
+  validateRules,
+  validateStaffRules
+};
@@ -7,6 +7,9 @@ const path = require('path');
 const chalk = require('chalk');
 const { program } = require('commander');
 const inquirer = require('inquirer');
+const timezone = require('./timezone');
+const tripIngestion = require('./tripIngestion');
+const Geocoder = require('./geocoder');
 
 // CLI Configuration
 program
@@ -21,22 +24,23 @@ program
   .option('-s, --staff <staffId>', 'Specific staff ID (e.g., Ali_M)')
   .option('-f, --from <date>', 'Start date (YYYY-MM-DD)')
   .option('-t, --to <date>', 'End date (YYYY-MM-DD)')
-  .option('-a, --all', 'Process all staff with CSV files')
+  .option('-a, --all', 'Process all staff with trip files (.csv, .xlsx, .json, .gpx, .kml)')
+  .option('--fleet <files...>', 'Fleet-wide export(s) to split by vehicle and driver')
+  .option('--format <profile>', 'CSV format profile for the fleet export (default: auto-detect)')
+  .option('--date-order <order>', 'Date order of the fleet export: DMY, MDY or YMD (default: processing.dateOrder)')
   .action(async (options) => {
     try {
       const comparison = new TimesheetComparison();
       
       // Determine staff to process
       let staffToProcess = [];
-      if (options.staff) {
+      if (options.fleet) {
+        // Staff are discovered from the export itself
+      } else if (options.staff) {
         staffToProcess = [options.staff];
       } else if (options.all) {
-        // Find all CSV files
-        const csvFiles = await fs.readdir(config.directories.csvInput);
-        staffToProcess = csvFiles
-          .filter(f => f.endsWith('.csv'))
-          .map(f => f.replace('.csv', ''))
-          .filter(staffId => config.staff[staffId]);
+        // Find all trip files
+        staffToProcess = await tripIngestion.listStaffWithFiles();
       } else {
         // Interactive selection
         const staffList = Object.keys(config.staff).map(id => ({
@@ -63,31 +67,43 @@ program
         startDate = new Date(options.from);
         endDate = new Date(options.to);
       } else {
-        // Default to current month
-        const now = new Date();
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+        // Default to current month (in the configured timezone, not the server's)
+        startDate = timezone.calendarDate({ startOfMonth: true });
+        endDate = timezone.calendarDate({ endOfMonth: true });
         
-        console.log(chalk.gray(`\nUsing default date range: ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`));
+        console.log(chalk.gray(`\nUsing default date range: ${timezone.formatCalendarDate(startDate)} to ${timezone.formatCalendarDate(endDate)}`));
         console.log(chalk.gray('Use --from and --to flags to specify custom dates\n'));
       }
 
       // Process each staff member
       console.log(chalk.bold.blue('\n🚀 Starting Timesheet Comparison\n'));
       
-      for (const staffId of staffToProcess) {
-        const csvPath = path.join(config.directories.csvInput, `${staffId}.csv`);
-        
+      if (options.fleet) {
         try {
-          await fs.access(csvPath);
-          await comparison.compareTimesheet(staffId, csvPath, startDate, endDate);
+          const { comparisons } = await comparison.compareFleet(options.fleet, startDate, endDate, {
+            format: options.format,
+            dateOrder: options.dateOrder
+          });
+          staffToProcess = Object.keys(comparisons);
         } catch (error) {
-          console.error(chalk.red(`❌ Could not process ${staffId}: ${error.message}`));
+          console.error(chalk.red(`❌ Could not process fleet export ${options.fleet.join(', ')}: ${error.message}`));
+        }
+      } else {
+        for (const staffId of staffToProcess) {
+          try {
+            const csvPaths = await tripIngestion.findStaffFiles(staffId);
+            if (csvPaths.length === 0) {
+              throw new Error(`No trip file found (${staffId}${tripIngestion.SUPPORTED_EXTENSIONS.join(`, ${staffId}`)})`);
+            }
+            await comparison.compareTimesheet(staffId, csvPaths, startDate, endDate);
+          } catch (error) {
+            console.error(chalk.red(`❌ Could not process ${staffId}: ${error.message}`));
+          }
         }
       }
 
       // Generate report
-      if (staffToProcess.length > 0) {
+      if (staffToProcess.length > 0 || comparison.fleetImport) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
         const reportPath = path.join(config.directories.reports, `comparison_${timestamp}.xlsx`);
         
@@ -100,6 +116,9 @@ program
         // Show performance stats
         const stats = comparison.getPerformanceStats();
         console.log(chalk.gray(`\n⚡ Performance: ${stats.addressCacheSize} cached addresses, ${stats.wfxCacheStats.size} API cache entries`));
+        if (stats.wfxRequestStats.retried > 0) {
+          console.log(chalk.gray(`   WFX requests: ${stats.wfxRequestStats.completed} completed, ${stats.wfxRequestStats.retried} retried (${stats.wfxRequestStats.rateLimited} rate limited), ${stats.wfxRequestStats.failed} failed`));
+        }
       }
       
     } catch (error) {
@@ -117,32 +136,27 @@ program
       console.log(chalk.bold.blue('\n⚡ WFX Performance Test\n'));
       
       const comparison = new TimesheetComparison();
-      const csvFiles = await fs.readdir(config.directories.csvInput);
-      const availableFiles = csvFiles.filter(f => f.endsWith('.csv'));
+      const availableStaff = await tripIngestion.listStaffWithFiles();
       
-      if (availableFiles.length === 0) {
-        console.log(chalk.yellow('No CSV files found for testing.'));
+      if (availableStaff.length === 0) {
+        console.log(chalk.yellow('No trip files found for testing.'));
         console.log(chalk.gray('Place CSV files in csv_files/ directory first.'));
         return;
       }
       
-      console.log(chalk.gray(`Found ${availableFiles.length} CSV files for testing...`));
+      console.log(chalk.gray(`Found trip files for ${availableStaff.length} staff for testing...`));
       
-      const now = new Date();
-      const startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-      const endDate = new Date(now.getFullYear(), now.getMonth(), 0);
+      const startDate = timezone.calendarDate({ months: -1, startOfMonth: true });
+      const endDate = timezone.calendarDate({ months: -1, endOfMonth: true });
       
       const results = [];
       
-      for (const file of availableFiles.slice(0, 3)) { // Test max 3 files
-        const staffId = file.replace('.csv', '');
-        if (!config.staff[staffId]) continue;
-        
-        const csvPath = path.join(config.directories.csvInput, file);
+      for (const staffId of availableStaff.slice(0, 3)) { // Test max 3 staff
+        const csvPaths = await tripIngestion.findStaffFiles(staffId);
         const testStart = Date.now();
         
         try {
-          await comparison.compareTimesheet(staffId, csvPath, startDate, endDate);
+          await comparison.compareTimesheet(staffId, csvPaths, startDate, endDate);
           const processingTime = Date.now() - testStart;
           
           const result = comparison.comparisonResults[staffId];
@@ -306,7 +320,7 @@ program
       await fs.writeFile(configPath, configContent);
       
       console.log(chalk.green(`\n✅ Added ${answers.fullName} to configuration!`));
-      console.log(chalk.gray(`Place their CSV file as: ${config.directories.csvInput}/${answers.id}.csv`));
+      console.log(chalk.gray(`Place their CSV file as: ${config.directories.csvInput}/${answers.id}.csv (or .xlsx, .json, .gpx, .kml)`));
       
     } catch (error) {
       console.error(chalk.red('Error adding staff:', error.message));
@@ -328,13 +342,52 @@ program
       staffList.forEach(([id, info]) => {
         console.log(chalk.bold(`${info.fullName} (${id})`));
         console.log(chalk.gray(`  Home: ${info.homeAddress}`));
+        (info.homeLocations || []).forEach(location => {
+          console.log(chalk.gray(`  ${location.label || 'Home'}: ${location.address || `${location.lat}, ${location.lon}`}`));
+        });
         console.log(chalk.gray(`  WFX ID: ${info.wfxId}`));
         console.log(chalk.gray(`  Rate: $${info.defaultHourlyRate}/hr`));
-        console.log(chalk.gray(`  Vehicle: ${info.vehicleId}\n`));
+        console.log(chalk.gray(`  Vehicle: ${info.vehicleId}`));
+        (info.assignments || []).forEach(assignment => {
+          const changes = ['vehicleId', 'homeAddress', 'defaultHourlyRate']
+            .filter(field => assignment[field] !== undefined)
+            .map(field => `${field}=${assignment[field]}`)
+            .join(', ');
+          console.log(chalk.gray(`  From ${assignment.from || 'start'} to ${assignment.to || 'now'}: ${changes}`));
+        });
+        console.log('');
       });
     }
   });
 
+// Confirm a job site's coordinates
+program
+  .command('confirm-address <address>')
+  .description('Record the coordinates of an address checked on a map (beats the gazetteer)')
+  .requiredOption('--lat <lat>', 'Latitude (e.g. -33.8774)', parseFloat)
+  .requiredOption('--lon <lon>', 'Longitude (e.g. 151.1043)', parseFloat)
+  .action(async (address, options) => {
+    try {
+      if (!Number.isFinite(options.lat) || Math.abs(options.lat) > 90 ||
+          !Number.isFinite(options.lon) || Math.abs(options.lon) > 180) {
+        throw new Error('--lat and --lon must be valid coordinates');
+      }
+
+      const geocoder = new Geocoder();
+      const before = geocoder.geocode(address);
+      await geocoder.confirmAddress(address, options.lat, options.lon);
+      await geocoder.saveCache();
+
+      console.log(chalk.green(`✅ Confirmed ${address} at ${options.lat}, ${options.lon}`));
+      if (before) {
+        console.log(chalk.gray(`   Was ${before.lat.toFixed(4)}, ${before.lon.toFixed(4)} (${before.source}, ${before.precision})`));
+      }
+    } catch (error) {
+      console.error(chalk.red('Confirm address error:', error.message));
+      process.exit(1);
+    }
+  });
+
 // Auth command for WFX
 program
   .command('auth')
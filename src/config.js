@@ -35,7 +35,22 @@ module.exports = {
       homeAddress: '4 Columbine Avenue, Bankstown New South Wales 2200, Australia',
       wfxId: '9e3cbbee-8a36-4287-b858-118e53598510', // Ali Moutasallem's UUID from WorkflowMax
       defaultHourlyRate: 45.00,
-      vehicleId: 'VEH001'
+      vehicleId: 'VEH001',
+      timezone: 'Australia/Sydney'
+      // assignments: [ // Optional - date-effective history; overrides the values above on covered dates
+      //   { from: '2025-07-01', vehicleId: 'FLT09X', homeAddress: 'New address', defaultHourlyRate: 48.00 }
+      // ],
+      // driverNames: ['A Moutasallem'], // Optional - other spellings of this person in the Driver column
+      // homeGeofence: 'Home - Ali', // Optional - geofence name of this person's home
+      // roster: 'field-standard', // Optional - roster name from `rosters` (or an inline roster)
+      // rdos: ['2025-05-16', { from: '2025-05-30', everyDays: 14 }], // Optional - rostered days off (dates or a repeating cycle)
+      // workingDays: [1, 2, 3, 4, 5, 6], // Optional - ISO weekdays this person normally works
+      // classificationRules: 'award-standard', // Optional - rule set name (or an inline array of rules)
+      // homeLocations: [ // Optional - further homes; lat/lon skip geocoding, radiusMetres overrides processing.homeDetection
+      //   { label: 'Partner', address: '12 Example Street, Burwood NSW 2134', lat: -33.877, lon: 151.104, radiusMetres: 200 }
+      // ],
+      // csvFormat: 'tripReport', // Optional - force a CSV format profile instead of auto-detecting
+      // dateOrder: 'DMY'         // Optional - declared date order of this person's exports
     },
     // Add more staff members here following the same pattern
     // 'FirstName_LastInitial': {
@@ -43,10 +58,156 @@ module.exports = {
     //   homeAddress: 'Full Address',
     //   wfxId: 'actual_wfx_staff_id',
     //   defaultHourlyRate: 0.00,
-    //   vehicleId: 'VEH00X'
+    //   vehicleId: 'ABC12D', // Number plate as it appears in the export - routes trips from fleet-wide exports
+    //   timezone: 'Australia/Brisbane'
     // }
   },
   
+  // Vehicle Configuration - keyed by number plate. A vehicle timezone
+  // overrides the driver's timezone (e.g. a van based interstate)
+  vehicles: {
+    // 'ABC123': { timezone: 'Australia/Brisbane' }
+  },
+  
+  // Geofence mapping - names as they appear in the "Geofence from/to" columns.
+  // Geofence names are preferred over free-text addresses when identifying sites.
+  // category: 'home' | 'depot' | 'supplier' | 'client_site' | ...
+  // Client sites can be tied to a WFX client name and/or specific WFX job IDs.
+  geofences: {
+    // 'Depot': { category: 'depot' },
+    // 'Home - Ali': { category: 'home', staffId: 'Ali_M' },
+    // 'Burwood Westfield': { category: 'client_site', wfxClient: 'Scentre Group', wfxJobIds: ['J000123'] }
+  },
+  
+  // Known places that aren't WFX jobs (see src/placeRegistry.js). Categories:
+  // depot, supplier, fuel, lunch, client_site. Trips ending within radiusMetres
+  // (or at the geofence / same address) are classified by category.
+  places: {
+    // 'Bunnings Bankstown': { category: 'supplier', address: '1 Example Road, Bankstown NSW 2200', lat: -33.918, lon: 151.035, radiusMetres: 250 },
+    // 'Depot': { category: 'depot', geofence: 'Depot' },
+    // 'Westfield Burwood': { category: 'client_site', address: '100 Burwood Road, Burwood NSW 2134', wfxClient: 'Scentre Group' }
+  },
+  
+  // Trip classification rules (see src/classificationRules.js). The first
+  // matching rule decides a trip's classification and billable time; the
+  // built-in rules (home commutes personal, everything else work) run last.
+  classification: {
+    // Rule set for staff who don't set classificationRules
+    defaultRuleSet: null,
+    ruleSets: {
+      // 'award-standard': [
+      //   { id: 'commute-first-30-unpaid', when: { from: 'home', position: 'first' }, classification: 'commute', billable: true, unpaidMinutes: 30 },
+      //   { id: 'supplier-home-paid', when: { from: 'supplier', to: 'home' }, classification: 'supplier_run', billable: true },
+      //   { id: 'home-supplier-paid', when: { from: 'home', to: 'supplier' }, classification: 'supplier_run', billable: true }
+      // ]
+    }
+  },
+  
+  // Custom CSV format profiles (see src/csvFormats.js for the built-in ones).
+  // Formats are auto-detected from the header row unless a staff member sets csvFormat.
+  csvFormats: {
+    // 'subcontractorX': {
+    //   extends: 'generic',
+    //   columns: { toAddress: ['Job Address'] },
+    //   dateFormat: 'D/M/YYYY'
+    // }
+  },
+  
+  // Non-CSV trip inputs (.xlsx, .json, .gpx, .kml) - see src/tripIngestion.js
+  ingestion: {
+    // Worksheet to read from XLSX downloads (defaults to the first sheet)
+    xlsxSheet: null,
+    // GPX/KML tracks are split into trips where the vehicle stays within
+    // stopRadiusMetres of one spot for at least minStopMinutes
+    gps: {
+      minStopMinutes: 5,
+      stopRadiusMetres: 50
+    }
+  },
+  
+  // Offline geocoding (src/geocoder.js)
+  geocoding: {
+    gazetteerFile: path.join(__dirname, '..', 'resources', 'gazetteer', 'nsw_suburbs.csv'),
+    cacheFile: path.join(__dirname, '..', 'data', 'geocode_cache.json'),
+    confirmedFile: path.join(__dirname, '..', 'data', 'confirmed_addresses.json'),
+    // How far the true location may be from a resolved point, by precision (km)
+    uncertaintyKm: { exact: 0.05, suburb: 1.5, postcode: 3 }
+  },
+  
+  // Rosters (src/rosters.js) - weekly shift patterns, shared by a team or set
+  // per person with `roster`. Staff without one get processing.workingHours
+  rosters: {
+    'field-standard': {
+      weekly: { mon: '07:00-15:30', tue: '07:00-15:30', wed: '07:00-15:30', thu: '07:00-15:30', fri: '07:00-15:30' }
+    }
+    // 'part-time-mwf': { weekly: { mon: '08:00-14:00', wed: '08:00-14:00', fri: '08:00-14:00' } },
+    // 'split-shift': { weekly: { mon: ['06:00-10:00', '15:00-19:00'], tue: ['06:00-10:00', '15:00-19:00'] } },
+    // 'on-call-rotation': { // weeks take turns from cycleStart (a Monday)
+    //   cycleStart: '2025-05-05',
+    //   weeks: [
+    //     { mon: '07:00-15:30', tue: '07:00-15:30', wed: '07:00-15:30', thu: '07:00-15:30', fri: '07:00-15:30' },
+    //     { mon: '07:00-15:30', tue: '07:00-15:30', wed: '07:00-15:30', thu: '07:00-15:30', fri: '07:00-15:30', onCall: true }
+    //   ]
+    // }
+  },
+  
+  // Working-day calendar (src/calendar.js). Trips on public holidays, shutdowns,
+  // weekends and rostered days off (staff `rdos`) aren't treated as missing timesheets
+  calendar: {
+    publicHolidaysFile: path.join(__dirname, '..', 'resources', 'calendar', 'nsw_public_holidays.json'),
+    // Extra holidays not in the file (local or regional days)
+    publicHolidays: [
+      // { date: '2025-11-04', name: 'Melbourne Cup' }
+    ],
+    // Company shutdown periods (inclusive)
+    shutdowns: [
+      // { from: '2025-12-22', to: '2026-01-09', label: 'Christmas shutdown' }
+    ],
+    // ISO weekdays normally worked (1 = Monday ... 7 = Sunday); staff can set their own workingDays
+    workingDays: [1, 2, 3, 4, 5],
+    // Alert on trips with no WFX time on non-working days (possible private use)
+    flagNonWorkingDayTravel: true
+  },
+  
+  // Pay rules (src/payCalculator.js) used to put a dollar value on discrepancies.
+  // Staff can override any of these with their own `payRules`
+  payRules: {
+    // Weekday hours past afterHours are paid at multiplier
+    overtime: [
+      { afterHours: 7.6, multiplier: 1.5 },
+      { afterHours: 9.6, multiplier: 2.0 }
+    ],
+    // Whole-day penalty rates (replace overtime on these days)
+    saturdayMultiplier: 1.5,
+    sundayMultiplier: 2.0,
+    publicHolidayMultiplier: 2.5,
+    // Extra dates paid at the public holiday rate (YYYY-MM-DD) - the calendar's
+    // public holidays already are
+    publicHolidays: [],
+    // Allowance for kilometres driven on billable trips
+    travelAllowance: {
+      perKm: 0.00,
+      perDay: 0.00,
+      maxKmPerDay: null
+    }
+  },
+  
+  // Persistent WFX API cache (src/apiCache.js)
+  apiCache: {
+    file: path.join(__dirname, '..', 'data', 'api_cache.json'),
+    // How long responses stay fresh, by endpoint prefix (minutes)
+    ttlMinutes: {
+      '/job.api': 24 * 60,
+      '/staff.api': 24 * 60,
+      '/time.api': 6 * 60,
+      default: 10
+    },
+    // Time entries reaching into the current week are still being filled in
+    currentWeekTtlMinutes: 10,
+    // Least recently used responses are dropped past this size
+    maxSizeMB: 50
+  },
+  
   // Directory Configuration
   directories: {
     csvInput: path.join(__dirname, '..', 'csv_files'),
@@ -58,11 +219,49 @@ module.exports = {
   
   // Processing Rules
   processing: {
-    // Tolerance for matching job locations (in km)
+    // Default timezone for trip timestamps (staff and vehicles can override)
+    timezone: process.env.TIMEZONE || 'Australia/Sydney',
+    
+    // Work day boundary - trips starting before this time count toward the
+    // previous day's shift (night shifts, late returns home after midnight)
+    workDayBoundary: '04:00',
+    
+    // Default date order for imported dates when a CSV format doesn't declare one (DMY, MDY or YMD)
+    dateOrder: 'DMY',
+    
+    // Trip and job locations closer than this (in km, after geocoding) count as the same site
     locationMatchTolerance: 0.5,
     
+    // Home detection (src/homeDetection.js)
+    homeDetection: {
+      // Stops geocoded within this distance of a home are home (metres)
+      radiusMetres: 150
+    },
+    
+    // Known places (config.places)
+    places: {
+      // Default match radius when a place doesn't set radiusMetres (metres)
+      radiusMetres: 200
+    },
+    
+    // Site visits (time parked between arriving on one trip and leaving on the next)
+    visits: {
+      // Stops shorter than this are not treated as visits (minutes)
+      minDwellMinutes: 5
+    },
+    
+    // Address comparison (src/addressParser.js). Postcode and suburb must agree;
+    // the weights split the score between the remaining components
+    addressMatching: {
+      weights: { locality: 0.3, street: 0.35, number: 0.25, unit: 0.1 },
+      // Street numbers this close on the same street count as the same site
+      streetNumberTolerance: 4
+    },
+    
     // Enhanced job matching settings
     jobMatching: {
+      // Match WFX entries against 'trips' (drive legs) or 'visits' (time parked on site)
+      matchAgainst: 'trips',
       // Minimum confidence score for automatic job matching (0-1)
       minimumMatchConfidence: 0.7,
       // Confidence threshold for fuzzy matching (0-1)
@@ -85,8 +284,25 @@ module.exports = {
     workingHours: {
       start: '07:00',
       end: '18:00',
-      breakAfterHours: 4, // Mandatory break after X hours
-      breakDurationMinutes: 30
+      breakAfterHours: 4, // A break must start within X hours of the shift starting
+      breakDurationMinutes: 30 // Shortest break that satisfies the rule
+    },
+    
+    // Late start / early finish relative to the roster
+    rosterTolerance: {
+      // Starting more than this after the rostered start is a late start (minutes)
+      lateStartMinutes: 15,
+      // Finishing more than this before the rostered finish is an early finish (minutes)
+      earlyFinishMinutes: 15
+    },
+    
+    // Break detection (src/breakDetection.js) - breaks are inferred from lunch
+    // place stops, mid-shift home stops and long idling, then deducted
+    breaks: {
+      // Shorter stops aren't counted as breaks (minutes)
+      minBreakMinutes: 10,
+      // Idling (engine on while parked) at least this long counts as a break; null to ignore idling
+      minIdleBreakMinutes: 20
     },
     
     // Travel time rules
@@ -112,6 +328,18 @@ module.exports = {
     }
   },
   
+  // Data-quality checks on imported trips (tracker dropouts)
+  dataQuality: {
+    // Flag an odometer jump between consecutive trips larger than X km
+    odometerGapKm: 0.5,
+    // Flag a trip whose odometer delta differs from its Distance column by more than
+    // X km or X% of the distance, whichever is larger
+    distanceToleranceKm: 0.5,
+    distanceTolerancePercent: 0.1,
+    // Flag a gap between trips that exceeds the reported parking time by X minutes
+    timeGapToleranceMinutes: 15
+  },
+  
   // Alert Thresholds
   alerts: {
     // Alert if timesheet hours differ by more than X hours
@@ -130,9 +358,21 @@ module.exports = {
     cacheTimeMinutes: 10,
     // Maximum concurrent API requests
     maxConcurrentRequests: 3,
-    // Retry failed requests X times
+    // Start at most X API requests in any rolling minute
+    requestsPerMinute: 60,
+    // Retry failed requests (429, 5xx, dropped connections) X times
     maxRetries: 3,
+    // Backoff between retries: a random delay up to base * 2^attempt, capped (ms).
+    // A 429's Retry-After header takes precedence
+    retryBaseDelayMs: 1000,
+    retryMaxDelayMs: 30000,
     // Request timeout in milliseconds
-    requestTimeoutMs: 30000
+    requestTimeoutMs: 30000,
+    // WFX time entries are fetched in windows of X days...
+    timeEntryWindowDays: 14,
+    // ...X entries per page
+    timeEntryPageSize: 500,
+    // Stop paging a window after X pages
+    timeEntryMaxPages: 50
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,289 @@
+const config = require('./config');
+
+/**
+ * Telematics export format profiles.
+ *
+ * Each profile lists the header aliases a provider uses for every canonical
+ * trip field, plus the provider's date/time formats, distance unit and how it
+ * writes durations. csvParser uses the resolved profile to turn a raw row
+ * into the normalized trip shape that processCsvData expects.
+ */
+
+// Canonical trip fields that every profile can map
+const TRIP_FIELDS = [
+  'plate',
+  'driver',
+  'startDate',
+  'startTime',
+  'startDateTime',
+  'fromAddress',
+  'fromGeofence',
+  'finishDate',
+  'finishTime',
+  'finishDateTime',
+  'toAddress',
+  'toGeofence',
+  'distance',
+  'drivingTime',
+  'idlingTime',
+  'parkingTime',
+  'averageSpeed',
+  'maxSpeed',
+  'startOdometer',
+  'endOdometer'
+];
+
+// Kilometres per unit, used to convert distances and odometer readings
+const DISTANCE_UNITS = {
+  km: 1,
+  mi: 1.609344,
+  m: 0.001
+};
+
+const BUILTIN_PROFILES = {
+  // Current tracking portal ("Started, date", "Address from", ...)
+  tripReport: {
+    description: 'Trip report export from the current fleet tracking portal',
+    columns: {
+      plate: ['Number Plate'],
+      driver: ['Driver'],
+      startDate: ['Started, date'],
+      startTime: ['Started, time'],
+      fromAddress: ['Address from'],
+      fromGeofence: ['Geofence from'],
+      finishDate: ['Finish, date'],
+      finishTime: ['Finish, time'],
+      toAddress: ['Address to'],
+      toGeofence: ['Geofence to'],
+      distance: ['Distance (km)', 'Distance'],
+      drivingTime: ['Driving Time (HH:MM:SS)', 'Driving Time'],
+      idlingTime: ['Idling Time (HH:MM:SS)', 'Idling Time'],
+      parkingTime: ['Parking Time (HH:MM:SS)', 'Parking Time'],
+      averageSpeed: ['Average Speed'],
+      maxSpeed: ['Max Speed'],
+      startOdometer: ['Start Odometer'],
+      endOdometer: ['End Odometer']
+    },
+    dateFormat: 'DD/MM/YYYY',
+    timeFormat: 'HH:mm',
+    distanceUnit: 'km',
+    durationFormat: 'hh:mm:ss'
+  },
+
+  // Second tracking vendor: combined timestamps, imperial units, minute durations
+  journeyLog: {
+    description: 'Journey log export (combined timestamps, miles, durations in minutes)',
+    columns: {
+      plate: ['Vehicle Registration', 'Registration'],
+      driver: ['Driver Name'],
+      startDateTime: ['Journey Start', 'Start Date/Time'],
+      fromAddress: ['Start Location'],
+      fromGeofence: ['Start Zone', 'Start Geofence'],
+      finishDateTime: ['Journey End', 'End Date/Time'],
+      toAddress: ['End Location'],
+      toGeofence: ['End Zone', 'End Geofence'],
+      distance: ['Distance (mi)', 'Miles'],
+      drivingTime: ['Journey Duration (mins)', 'Drive Time (mins)'],
+      idlingTime: ['Idle Duration (mins)', 'Idle Time (mins)'],
+      parkingTime: ['Stop Duration (mins)', 'Stop Time (mins)'],
+      averageSpeed: ['Average Speed (mph)'],
+      maxSpeed: ['Max Speed (mph)'],
+      startOdometer: ['Start Odometer (mi)'],
+      endOdometer: ['End Odometer (mi)']
+    },
+    dateTimeFormat: 'DD/MM/YYYY HH:mm',
+    distanceUnit: 'mi',
+    speedUnit: 'mi',
+    durationFormat: 'minutes'
+  },
+
+  // Minimal spreadsheet layout some subcontractors send
+  generic: {
+    description: 'Generic subcontractor spreadsheet (ISO dates, durations in seconds)',
+    columns: {
+      plate: ['vehicle', 'rego', 'plate'],
+      driver: ['driver'],
+      startDate: ['date', 'start_date'],
+      startTime: ['start_time', 'start'],
+      fromAddress: ['from', 'from_address', 'origin'],
+      fromGeofence: ['from_geofence', 'from_site'],
+      finishDate: ['end_date', 'date'],
+      finishTime: ['end_time', 'end'],
+      toAddress: ['to', 'to_address', 'destination'],
+      toGeofence: ['to_geofence', 'to_site'],
+      distance: ['distance_km', 'km'],
+      drivingTime: ['duration_seconds', 'drive_seconds'],
+      idlingTime: ['idle_seconds'],
+      parkingTime: ['stop_seconds', 'parked_seconds'],
+      averageSpeed: ['avg_speed'],
+      maxSpeed: ['max_speed'],
+      startOdometer: ['odometer_start'],
+      endOdometer: ['odometer_end']
+    },
+    dateFormat: 'YYYY-MM-DD',
+    timeFormat: 'HH:mm',
+    distanceUnit: 'km',
+    durationFormat: 'seconds'
+  }
+};
+
+/**
+ * Normalize a header for alias comparison (case and whitespace insensitive)
+ * @param {string} header - Raw header text
+ * @returns {string} Comparable header key
+ */
+function headerKey(header) {
+  return String(header || '').replace(/^\uFEFF/, '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Get all known profiles, built-in ones plus any defined in config.csvFormats.
+ * Custom profiles may set `extends` to inherit from another profile.
+ * @returns {Object} Profiles keyed by name
+ */
+function getProfiles() {
+  const profiles = {};
+
+  Object.entries(BUILTIN_PROFILES).forEach(([name, profile]) => {
+    profiles[name] = { name, ...profile };
+  });
+
+  Object.entries(config.csvFormats).forEach(([name, custom]) => {
+    const base = custom.extends ? profiles[custom.extends] : null;
+    if (custom.extends && !base) {
+      throw new Error(`CSV format "${name}" extends unknown format "${custom.extends}"`);
+    }
+    profiles[name] = {
+      ...(base || {}),
+      ...custom,
+      name,
+      columns: { ...(base?.columns || {}), ...(custom.columns || {}) }
+    };
+  });
+
+  return profiles;
+}
+
+/**
+ * Get a single profile by name
+ * @param {string} name - Profile name
+ * @returns {Object} Profile definition
+ */
+function getProfile(name) {
+  const profile = getProfiles()[name];
+  if (!profile) {
+    throw new Error(`Unknown CSV format "${name}". Available formats: ${Object.keys(getProfiles()).join(', ')}`);
+  }
+  return profile;
+}
+
+/**
+ * Resolve which header in the file supplies each canonical field
+ * @param {Object} profile - Profile definition
+ * @param {Array<string>} headers - Header row from the file
+ * @returns {Object} Map of canonical field to actual header name
+ */
+function resolveColumns(profile, headers) {
+  const available = new Map(headers.map(header => [headerKey(header), header]));
+  const columnMap = {};
+
+  TRIP_FIELDS.forEach(field => {
+    const aliases = profile.columns[field] || [];
+    const match = aliases.find(alias => available.has(headerKey(alias)));
+    if (match) {
+      columnMap[field] = available.get(headerKey(match));
+    }
+  });
+
+  return columnMap;
+}
+
+/**
+ * List the required fields a column map is missing
+ * @param {Object} columnMap - Resolved column map
+ * @returns {Array<string>} Missing canonical fields
+ */
+function missingRequiredFields(columnMap) {
+  const missing = [];
+
+  if (!columnMap.startDateTime && !(columnMap.startDate && columnMap.startTime)) {
+    missing.push('startDate/startTime');
+  }
+  if (!columnMap.finishDateTime && !(columnMap.finishDate && columnMap.finishTime)) {
+    missing.push('finishDate/finishTime');
+  }
+  if (!columnMap.fromAddress) missing.push('fromAddress');
+  if (!columnMap.toAddress) missing.push('toAddress');
+
+  return missing;
+}
+
+/**
+ * Detect the best matching profile for a header row
+ * @param {Array<string>} headers - Header row from the file
+ * @returns {Object|null} { profile, columnMap } or null if nothing fits
+ */
+function detectProfile(headers) {
+  let best = null;
+
+  Object.values(getProfiles()).forEach(profile => {
+    const columnMap = resolveColumns(profile, headers);
+    if (missingRequiredFields(columnMap).length > 0) return;
+
+    const coverage = Object.keys(columnMap).length;
+    if (!best || coverage > best.coverage) {
+      best = { profile, columnMap, coverage };
+    }
+  });
+
+  return best ? { profile: best.profile, columnMap: best.columnMap } : null;
+}
+
+/**
+ * Build an adapter for a file, either from an explicit profile name or by
+ * auto-detecting from the header row
+ * @param {Array<string>} headers - Header row from the file
+ * @param {string} formatName - Optional profile name (e.g. staffConfig.csvFormat)
+ * @returns {Object} { profile, columnMap }
+ */
+function createAdapter(headers, formatName = null) {
+  if (formatName) {
+    const profile = getProfile(formatName);
+    const columnMap = resolveColumns(profile, headers);
+    const missing = missingRequiredFields(columnMap);
+    if (missing.length > 0) {
+      throw new Error(`File does not match CSV format "${formatName}" (missing ${missing.join(', ')})`);
+    }
+    return { profile, columnMap };
+  }
+
+  const detected = detectProfile(headers);
+  if (!detected) {
+    throw new Error(`Unrecognised CSV format. Headers: ${headers.join(', ')}`);
+  }
+  return detected;
+}
+
+/**
+ * Convert a distance to kilometres
+ * @param {number} value - Distance in the profile's unit
+ * @param {string} unit - Unit name (km, mi, m)
+ * @returns {number} Distance in km
+ */
+function toKilometres(value, unit = 'km') {
+  const factor = DISTANCE_UNITS[unit];
+  if (!factor) {
+    throw new Error(`Unknown distance unit "${unit}"`);
+  }
+  return value * factor;
+}
+
+module.exports = {
+  TRIP_FIELDS,
+  getProfiles,
+  getProfile,
+  resolveColumns,
+  detectProfile,
+  createAdapter,
+  toKilometres
+};
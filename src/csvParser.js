@@ -1,40 +1,54 @@
 const fs = require('fs');
 const { parse } = require('csv-parse');
+const moment = require('moment');
+const config = require('./config');
+const csvFormats = require('./csvFormats');
+const timezone = require('./timezone');
+const importReport = require('./importReport');
+const tripIdentity = require('./tripIdentity');
 
 /**
- * Normalize date format to standard format
+ * Normalize date format to standard format.
+ * Dates are parsed strictly against a declared format or date order and never
+ * go through `new Date()`, so 05/12/2025 is never silently read as US May 12th
+ * and the server's timezone can't move the date across midnight.
  * @param {string} dateString - Date in various formats
- * @returns {string} Normalized date string
+ * @param {string} dateFormat - Moment format (e.g. 'DD/MM/YYYY') or date order ('DMY', 'MDY', 'YMD').
+ *                              Defaults to config.processing.dateOrder
+ * @returns {string} Normalized date string (YYYY-MM-DD), or the original if it can't be parsed
  */
-function normalizeDate(dateString) {
+function normalizeDate(dateString, dateFormat = null) {
   if (!dateString) return '';
   
-  // Handle different date formats
-  const date = new Date(dateString);
-  if (isNaN(date)) {
-    // Try parsing DD/MM/YYYY format
-    const parts = dateString.split('/');
-    if (parts.length === 3) {
-      const [day, month, year] = parts;
-      const normalizedDate = new Date(year, month - 1, day);
-      if (!isNaN(normalizedDate)) {
-        return normalizedDate.toISOString().split('T')[0];
-      }
-    }
-    return dateString; // Return original if can't parse
+  const value = String(dateString).trim();
+  const format = dateFormat || config.processing.dateOrder;
+  
+  // ISO dates are unambiguous whatever the declared order
+  const formats = ['YYYY-MM-DD'];
+  if (/^(DMY|MDY|YMD)$/i.test(format)) {
+    formats.push(...timezone.dateFormatsForOrder(format));
+  } else {
+    formats.push(format);
   }
   
-  return date.toISOString().split('T')[0];
+  const parsed = moment(value, formats, true);
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : value;
 }
 
 /**
  * Normalize time format
  * @param {string} timeString - Time in various formats
+ * @param {string} timeFormat - Optional moment format declared by the CSV profile
  * @returns {string} Normalized time string (HH:MM)
  */
-function normalizeTime(timeString) {
+function normalizeTime(timeString, timeFormat = null) {
   if (!timeString) return '00:00';
   
+  if (timeFormat) {
+    const parsed = moment(timeString.trim(), timeFormat, true);
+    if (parsed.isValid()) return parsed.format('HH:mm');
+  }
+  
   // Handle different time formats
   const timeParts = timeString.split(':');
   if (timeParts.length >= 2) {
@@ -46,22 +60,87 @@ function normalizeTime(timeString) {
   return timeString;
 }
 
+/**
+ * Normalize a duration to HH:MM:SS
+ * @param {string|number} value - Duration as written by the provider
+ * @param {string} durationFormat - 'hh:mm:ss', 'minutes' or 'seconds'
+ * @returns {string} Duration in HH:MM:SS format
+ */
+function normalizeDuration(value, durationFormat = 'hh:mm:ss') {
+  if (value === null || value === undefined || value === '') return '00:00:00';
+  
+  switch (durationFormat) {
+    case 'minutes':
+      return minutesToTime(cleanNumeric(value));
+    case 'seconds':
+      return minutesToTime(cleanNumeric(value) / 60);
+    default:
+      return minutesToTime(timeToMinutes(String(value)));
+  }
+}
+
+/**
+ * Read a canonical field from a raw row using the adapter's column map
+ * @param {Object} row - CSV row object
+ * @param {Object} adapter - { profile, columnMap } from csvFormats
+ * @param {string} field - Canonical field name
+ * @returns {string} Trimmed raw value ('' if absent)
+ */
+function getField(row, adapter, field) {
+  const header = adapter.columnMap[field];
+  if (!header || row[header] === undefined || row[header] === null) return '';
+  return String(row[header]).trim();
+}
+
+/**
+ * Split a row's start or finish into date and time parts
+ * @param {Object} row - CSV row object
+ * @param {Object} adapter - CSV adapter
+ * @param {string} prefix - 'start' or 'finish'
+ * @param {string} dateOrder - Optional declared date order overriding the profile
+ * @returns {Object} { date, time } normalized
+ */
+function getDateTime(row, adapter, prefix, dateOrder = null) {
+  const { profile } = adapter;
+  const combined = getField(row, adapter, `${prefix}DateTime`);
+  
+  if (combined) {
+    // ISO timestamps (e.g. from spreadsheet date cells) are accepted whatever the profile says
+    const formats = ['YYYY-MM-DD HH:mm', 'YYYY-MM-DD HH:mm:ss', ...(dateOrder
+      ? timezone.dateFormatsForOrder(dateOrder).flatMap(f => [`${f} HH:mm`, `${f} HH:mm:ss`])
+      : [profile.dateTimeFormat])];
+    const parsed = moment(combined, formats, true);
+    if (!parsed.isValid()) {
+      return { date: combined, time: '' };
+    }
+    return { date: parsed.format('YYYY-MM-DD'), time: parsed.format('HH:mm') };
+  }
+  
+  return {
+    date: normalizeDate(getField(row, adapter, `${prefix}Date`), dateOrder || profile.dateFormat),
+    time: normalizeTime(getField(row, adapter, `${prefix}Time`), profile.timeFormat)
+  };
+}
+
 /**
  * Validate required CSV columns
  * @param {Object} row - CSV row object
+ * @param {Object} adapter - Optional CSV adapter (defaults to the trip report layout)
  * @returns {boolean} True if row has required columns
  */
-function validateRow(row) {
-  const requiredColumns = [
-    'Started, date',
-    'Started, time',
-    'Address from',
-    'Finish, date', 
-    'Finish, time',
-    'Address to'
-  ];
-  
-  return requiredColumns.every(col => row[col] && row[col].trim() !== '');
+function validateRow(row, adapter = null) {
+  if (!adapter) {
+    adapter = csvFormats.createAdapter(Object.keys(row), 'tripReport');
+  }
+  
+  const hasStart = getField(row, adapter, 'startDateTime') ||
+    (getField(row, adapter, 'startDate') && getField(row, adapter, 'startTime'));
+  const hasFinish = getField(row, adapter, 'finishDateTime') ||
+    (getField(row, adapter, 'finishDate') && getField(row, adapter, 'finishTime'));
+  
+  return Boolean(hasStart && hasFinish &&
+    getField(row, adapter, 'fromAddress') &&
+    getField(row, adapter, 'toAddress'));
 }
 
 /**
@@ -76,83 +155,108 @@ function cleanNumeric(value, defaultValue = 0) {
   return isNaN(num) ? defaultValue : num;
 }
 
+/**
+ * Convert a raw row into the normalized trip shape
+ * @param {Object} row - CSV row object
+ * @param {Object} adapter - CSV adapter
+ * @param {Object} options - { dateOrder, timezone, staffConfig } as passed to parseCSV
+ * @returns {Object} Normalized trip
+ */
+function rowToTrip(row, adapter, options = {}) {
+  const { profile } = adapter;
+  const distanceUnit = profile.distanceUnit || 'km';
+  const speedUnit = profile.speedUnit || distanceUnit;
+  const toKm = (field, unit) => {
+    const value = cleanNumeric(getField(row, adapter, field));
+    return Math.round(csvFormats.toKilometres(value, unit) * 100) / 100;
+  };
+  
+  const start = getDateTime(row, adapter, 'start', options.dateOrder);
+  const finish = getDateTime(row, adapter, 'finish', options.dateOrder);
+  const plate = getField(row, adapter, 'plate');
+  const tripTimezone = timezone.resolveTimezone({
+    timezone: options.timezone,
+    plate,
+    staffConfig: options.staffConfig
+  });
+  
+  return {
+    'Number Plate': plate,
+    'Driver': getField(row, adapter, 'driver') || 'Unknown',
+    'Started, date': start.date,
+    'Started, time': start.time,
+    'Address from': getField(row, adapter, 'fromAddress'),
+    'Geofence from': getField(row, adapter, 'fromGeofence'),
+    'Finish, date': finish.date,
+    'Finish, time': finish.time,
+    'Address to': getField(row, adapter, 'toAddress'),
+    'Geofence to': getField(row, adapter, 'toGeofence'),
+    'Distance': toKm('distance', distanceUnit),
+    'Driving Time': normalizeDuration(getField(row, adapter, 'drivingTime'), profile.durationFormat),
+    'Idling Time': normalizeDuration(getField(row, adapter, 'idlingTime'), profile.durationFormat),
+    'Parking Time': normalizeDuration(getField(row, adapter, 'parkingTime'), profile.durationFormat),
+    'Average Speed': toKm('averageSpeed', speedUnit),
+    'Max Speed': toKm('maxSpeed', speedUnit),
+    'Start Odometer': toKm('startOdometer', distanceUnit),
+    'End Odometer': toKm('endOdometer', distanceUnit),
+    // Absolute instants (UTC) of the local wall-clock times above
+    startedAt: timezone.toInstant(start.date, start.time, tripTimezone),
+    finishedAt: timezone.toInstant(finish.date, finish.time, tripTimezone),
+    timezone: tripTimezone
+  };
+}
+
 /**
  * Parse CSV file and extract trip data
  * @param {string} filePath - Path to CSV file
- * @returns {Promise<Array>} Array of trip objects
+ * @param {Object} options - Parse options
+ * @param {string} options.format - CSV format profile name (auto-detected if omitted)
+ * @param {string} options.dateOrder - Declared date order for this import ('DMY', 'MDY', 'YMD')
+ * @param {string} options.timezone - Timezone override for every trip in the file
+ * @param {Object} options.staffConfig - Staff configuration (supplies the staff timezone)
+ * @returns {Promise<Object>} { trips, report } - trip objects and the row-level import report
  */
-async function parseCSV(filePath) {
+async function parseCSV(filePath, options = {}) {
   return new Promise((resolve, reject) => {
     const trips = [];
+    const report = importReport.createImportReport({ file: filePath });
     let rowCount = 0;
-    let validRows = 0;
-    let errors = [];
+    let adapter = null;
+    
+    const parser = parse({ 
+      // Resolve the format profile from the header row, keep headers as-is
+      columns: (headers) => {
+        adapter = csvFormats.createAdapter(headers, options.format);
+        report.format = adapter.profile.name;
+        return headers;
+      },
+      skip_empty_lines: true,
+      trim: true,
+      skip_records_with_error: true,
+      info: true,
+      raw: true
+    });
     
     fs.createReadStream(filePath)
-      .pipe(parse({ 
-        columns: true,
-        skip_empty_lines: true,
-        trim: true,
-        skip_lines_with_error: true
-      }))
-      .on('data', (row) => {
+      .on('error', (error) => reject(new Error(`CSV read error: ${error.message}`)))
+      .pipe(parser)
+      .on('skip', (error) => {
         rowCount++;
-        
-        // Skip rows without essential data
-        if (!validateRow(row)) {
-          errors.push(`Row ${rowCount}: Missing required data`);
-          return;
-        }
-        
-        try {
-          // Standardize the data format with optimized processing
-          const trip = {
-            'Number Plate': (row['Number Plate'] || '').trim(),
-            'Driver': (row['Driver'] || 'Unknown').trim(),
-            'Started, date': normalizeDate(row['Started, date']),
-            'Started, time': normalizeTime(row['Started, time']),
-            'Address from': (row['Address from'] || '').trim(),
-            'Finish, date': normalizeDate(row['Finish, date']),
-            'Finish, time': normalizeTime(row['Finish, time']),
-            'Address to': (row['Address to'] || '').trim(),
-            'Distance': cleanNumeric(row['Distance (km)'] || row['Distance']),
-            'Driving Time': row['Driving Time (HH:MM:SS)'] || row['Driving Time'] || '00:00:00',
-            'Idling Time': row['Idling Time (HH:MM:SS)'] || row['Idling Time'] || '00:00:00',
-            'Parking Time': row['Parking Time (HH:MM:SS)'] || row['Parking Time'] || '00:00:00',
-            'Average Speed': cleanNumeric(row['Average Speed']),
-            'Max Speed': cleanNumeric(row['Max Speed']),
-            'Start Odometer': cleanNumeric(row['Start Odometer']),
-            'End Odometer': cleanNumeric(row['End Odometer'])
-          };
-          
-          // Additional validation
-          if (trip['Distance'] < 0 || trip['Distance'] > 1000) {
-            errors.push(`Row ${rowCount}: Invalid distance ${trip['Distance']}km`);
-            return;
-          }
-          
-          validRows++;
-          trips.push(trip);
-        } catch (error) {
-          errors.push(`Row ${rowCount}: Processing error - ${error.message}`);
-        }
+        importReport.recordRejected(report, {
+          reason: importReport.REASONS.MALFORMED_ROW,
+          message: error.message,
+          row: rowCount,
+          line: error.lines,
+          raw: (error.raw || '').trim()
+        });
+      })
+      .on('data', ({ record: row, info }) => {
+        rowCount++;
+        const trip = importRow(row, adapter, options, report, { row: rowCount, line: info.lines });
+        if (trip) trips.push(trip);
       })
       .on('end', () => {
-        // Sort trips by date and time for better performance
-        trips.sort((a, b) => {
-          const dateTimeA = new Date(`${a['Started, date']} ${a['Started, time']}`);
-          const dateTimeB = new Date(`${b['Started, date']} ${b['Started, time']}`);
-          return dateTimeA - dateTimeB;
-        });
-        
-        console.log(`📊 CSV Processing: ${validRows}/${rowCount} valid rows processed`);
-        if (errors.length > 0 && errors.length <= 5) {
-          console.warn('⚠️ Warnings:', errors.slice(0, 5));
-        } else if (errors.length > 5) {
-          console.warn(`⚠️ ${errors.length} warnings (showing first 5):`, errors.slice(0, 5));
-        }
-        
-        resolve(trips);
+        resolve(finishImport(trips, report, 'CSV'));
       })
       .on('error', (error) => {
         reject(new Error(`CSV parsing error: ${error.message}`));
@@ -161,14 +265,110 @@ async function parseCSV(filePath) {
 }
 
 /**
- * Group trips by date (optimized version)
+ * Validate and convert one raw row, recording the outcome in the import report.
+ * Shared by every input format so rows are accepted or rejected the same way.
+ * @param {Object} row - Raw row keyed by source header
+ * @param {Object} adapter - Format adapter from csvFormats.createAdapter
+ * @param {Object} options - Parse options (dateOrder, timezone, staffConfig)
+ * @param {Object} report - Import report
+ * @param {Object} position - { row, line } of the record in the source file
+ * @returns {Object|null} Trip, or null if the row was rejected
+ */
+function importRow(row, adapter, options, report, position) {
+  const rejection = { row: position.row, line: position.line, raw: row };
+  
+  // Skip rows without essential data
+  if (!validateRow(row, adapter)) {
+    importReport.recordRejected(report, {
+      ...rejection,
+      reason: importReport.REASONS.MISSING_REQUIRED,
+      message: 'Missing start/finish date, time or address'
+    });
+    return null;
+  }
+  
+  try {
+    // Standardize the data format through the format profile
+    const trip = rowToTrip(row, adapter, options);
+    
+    // Additional validation
+    if (!trip.startedAt || !trip.finishedAt) {
+      importReport.recordRejected(report, {
+        ...rejection,
+        reason: importReport.REASONS.INVALID_DATE,
+        message: `Invalid date/time ${trip['Started, date']} ${trip['Started, time']} - ${trip['Finish, date']} ${trip['Finish, time']}`
+      });
+      return null;
+    }
+    
+    if (trip['Distance'] < 0 || trip['Distance'] > 1000) {
+      importReport.recordRejected(report, {
+        ...rejection,
+        reason: importReport.REASONS.INVALID_DISTANCE,
+        message: `Invalid distance ${trip['Distance']}km`
+      });
+      return null;
+    }
+    
+    trip.sourceRow = position.row;
+    trip.sourceFile = report.file;
+    importReport.recordAccepted(report);
+    return trip;
+  } catch (error) {
+    importReport.recordRejected(report, {
+      ...rejection,
+      reason: importReport.REASONS.PROCESSING_ERROR,
+      message: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Drop duplicate trips, sort chronologically and log the import summary
+ * @param {Array} trips - Accepted trips
+ * @param {Object} report - Import report
+ * @param {string} label - Source type for the log line (CSV, XLSX, ...)
+ * @returns {Object} { trips, report }
+ */
+function finishImport(trips, report, label) {
+  const unique = tripIdentity.dedupeTrips(trips, report);
+  
+  // Sort trips chronologically by absolute start instant
+  unique.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+  
+  console.log(`📊 ${label} Processing: ${importReport.summarize(report)}${report.format ? ` (format: ${report.format})` : ''}`);
+  
+  return { trips: unique, report };
+}
+
+/**
+ * Group trips by shift (work day).
+ * A trip belongs to the shift it started in, where shifts run from the
+ * configured work day boundary (e.g. 04:00) to the same time next day, so
+ * night work and late returns home stay with the day they belong to.
+ * Sets trip.shiftDate plus shiftStartMinutes / shiftFinishMinutes (minutes
+ * since the shift date's midnight, above 1440 after midnight).
  * @param {Array} trips - Array of trip objects
- * @returns {Object} Trips grouped by date
+ * @param {Object} options - { boundary: 'HH:MM' } to override config.processing.workDayBoundary
+ * @returns {Object} Trips grouped by shift date
  */
-function groupTripsByDate(trips) {
+function groupTripsByDate(trips, options = {}) {
+  const boundaryMinutes = timezone.getWorkDayBoundaryMinutes(options.boundary);
+  
   // Use reduce for better performance than forEach
   return trips.reduce((grouped, trip) => {
-    const date = trip['Started, date'];
+    let date = trip['Started, date'];
+    
+    if (trip.startedAt && trip.timezone) {
+      date = timezone.shiftDate(trip.startedAt, trip.timezone, boundaryMinutes);
+      trip.shiftDate = date;
+      trip.shiftStartMinutes = timezone.minutesIntoShift(trip.startedAt, date, trip.timezone);
+      trip.shiftFinishMinutes = trip.finishedAt
+        ? timezone.minutesIntoShift(trip.finishedAt, date, trip.timezone)
+        : trip.shiftStartMinutes;
+    }
+    
     if (!grouped[date]) {
       grouped[date] = [];
     }
@@ -299,5 +499,9 @@ module.exports = {
   getCSVStats,
   normalizeDate,
   normalizeTime,
-  validateRow
+  normalizeDuration,
+  validateRow,
+  rowToTrip,
+  importRow,
+  finishImport
 }; 
\ No newline at end of file
@@ -7,6 +7,9 @@ const TimesheetComparison = require('./timesheetComparison');
 const chalk = require('chalk');
 const WorkflowMaxAuthManager = require('./auth-workflowmax');
 const WFXApiClient = require('./wfxApi');
+const ApiCache = require('./apiCache');
+const wfxModels = require('./wfxModels');
+const tripIngestion = require('./tripIngestion');
 
 // Create a singleton instance of Auth Manager for status checks
 const authManager = new WorkflowMaxAuthManager();
@@ -70,13 +73,15 @@ app.post('/api/compare', async (req, res) => {
       return res.status(400).json({ error: 'Staff not found' });
     }
     
-    const csvPath = path.join(config.directories.csvInput, `${staffId}.csv`);
-    await fs.access(csvPath);
+    const csvPaths = await tripIngestion.findStaffFiles(staffId);
+    if (csvPaths.length === 0) {
+      return res.status(404).json({ error: `No trip file found for ${staffId}` });
+    }
     
     const comparison = new TimesheetComparison();
     await comparison.compareTimesheet(
       staffId, 
-      csvPath, 
+      csvPaths, 
       new Date(startDate), 
       new Date(endDate)
     );
@@ -98,6 +103,42 @@ app.post('/api/compare', async (req, res) => {
   }
 });
 
+app.post('/api/compare/fleet', async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const { file, startDate, endDate, format, dateOrder } = req.body;
+    
+    if (!file || !startDate || !endDate) {
+      return res.status(400).json({ error: 'Missing required parameters: file, startDate, endDate' });
+    }
+    
+    // Only files in the CSV input directory
+    const csvPath = path.join(config.directories.csvInput, path.basename(file));
+    await fs.access(csvPath);
+    
+    const comparison = new TimesheetComparison();
+    await comparison.compareFleet(csvPath, new Date(startDate), new Date(endDate), { format, dateOrder });
+    
+    Object.assign(comparisonCache, comparison.comparisonResults);
+    
+    res.json({
+      file: path.basename(csvPath),
+      staffIds: Object.keys(comparison.comparisonResults),
+      unassigned: comparison.fleetImport.unassigned,
+      importReport: comparison.fleetImport.report,
+      processingTime: Date.now() - startTime
+    });
+  } catch (error) {
+    performanceStats.errors++;
+    console.error('Fleet comparison error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      processingTime: Date.now() - startTime
+    });
+  }
+});
+
 app.get('/api/results/:staffId', (req, res) => {
   const { staffId } = req.params;
   const result = comparisonCache[staffId];
@@ -107,6 +148,15 @@ app.get('/api/results/:staffId', (req, res) => {
   res.json(result);
 });
 
+app.get('/api/results/:staffId/import-report', (req, res) => {
+  const { staffId } = req.params;
+  const result = comparisonCache[staffId];
+  if (!result || !result.importReport) {
+    return res.status(404).json({ error: 'No import report found for this staff member' });
+  }
+  res.json(result.importReport);
+});
+
 app.get('/api/summary', (req, res) => {
   const summary = Object.entries(comparisonCache).map(([staffId, result]) => ({
     staffId,
@@ -116,19 +166,63 @@ app.get('/api/summary', (req, res) => {
     discrepancyDays: result.comparison.summary.discrepancyDays,
     totalCsvHours: result.comparison.summary.totalCsvHours,
     totalWfxHours: result.comparison.summary.totalWfxHours,
+    underRecordedValue: result.comparison.summary.underRecordedValue || 0,
+    overRecordedValue: result.comparison.summary.overRecordedValue || 0,
+    nonWorkingDays: result.comparison.summary.nonWorkingDays || 0,
+    lateStartDays: result.comparison.summary.lateStartDays || 0,
+    earlyFinishDays: result.comparison.summary.earlyFinishDays || 0,
+    unrosteredWorkDays: result.comparison.summary.unrosteredWorkDays || 0,
     alerts: result.comparison.summary.alerts.length,
     totalDistance: result.csvStats?.totalDistance || 0,
     totalTrips: result.csvStats?.totalTrips || 0,
+    rejectedRows: result.importReport?.rejectedCount || 0,
     processedAt: result.metadata.processedAt
   }));
   summary.sort((a, b) => a.accuracy - b.accuracy);
   res.json(summary);
 });
 
-app.post('/api/cache/clear', (req, res) => {
-  comparisonCache = {};
-  console.log(chalk.yellow('Comparison cache cleared. WFX API cache in WFXApiClient will be cleared on next API call if implementation supports it.'));
-  res.json({ message: 'Cache cleared successfully' });
+app.get('/api/cache', (req, res) => {
+  const stats = ApiCache.getInstance().getStats();
+  res.json({
+    ...stats,
+    comparisons: Object.keys(comparisonCache)
+  });
+});
+
+// Clears everything, or only WFX responses matching { endpoint, staffId, from, to }.
+// staffId may be a config staff id or a WFX id
+app.post('/api/cache/clear', async (req, res) => {
+  try {
+    const { endpoint, staffId, from, to } = req.body || {};
+    const apiCache = ApiCache.getInstance();
+    let removed;
+    let clearedComparisons;
+
+    if (endpoint || staffId || from || to) {
+      const wfxStaffId = staffId && config.staff[staffId] ? config.staff[staffId].wfxId : staffId;
+      removed = apiCache.invalidate({ endpoint, staffId: wfxStaffId, from, to });
+      // Stored comparisons for that person are stale too
+      clearedComparisons = staffId && comparisonCache[staffId] ? [staffId] : [];
+      clearedComparisons.forEach(id => delete comparisonCache[id]);
+    } else {
+      removed = apiCache.clear();
+      clearedComparisons = Object.keys(comparisonCache);
+      comparisonCache = {};
+    }
+    await apiCache.flush();
+
+    console.log(chalk.yellow(`🗑️ Cleared ${removed} cached WFX responses and ${clearedComparisons.length} comparisons`));
+    res.json({
+      message: 'Cache cleared successfully',
+      removedResponses: removed,
+      clearedComparisons,
+      remaining: apiCache.getStats().size
+    });
+  } catch (error) {
+    performanceStats.errors++;
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Add authentication status endpoint using WorkflowMaxAuthManager
@@ -149,22 +243,9 @@ app.get('/api/auth/status', async (req, res) => {
 app.get('/api/wfx/staff', async (req, res) => {
   try {
     const wfxClient = new WFXApiClient();
-    const staff = await wfxClient.getStaff();
-    console.log(chalk.gray('📋 WFX Staff API Response:'));
-    console.log(chalk.gray(`  Type: ${typeof staff}`));
-    console.log(chalk.gray(`  Is Array: ${Array.isArray(staff)}`));
-    if (staff && typeof staff === 'object') {
-      console.log(chalk.gray(`  Keys: ${Object.keys(staff).join(', ')}`));
-      // Log first few items to understand structure
-      if (Array.isArray(staff) && staff.length > 0) {
-        console.log(chalk.gray(`  First item: ${JSON.stringify(staff[0], null, 2)}`));
-      } else if (staff.Staff && Array.isArray(staff.Staff)) {
-        console.log(chalk.gray(`  Staff array length: ${staff.Staff.length}`));
-        if (staff.Staff.length > 0) {
-          console.log(chalk.gray(`  First staff: ${JSON.stringify(staff.Staff[0], null, 2)}`));
-        }
-      }
-    }
+    // [{ id, name, email, phone }] - use `id` as a staff member's wfxId
+    const staff = wfxModels.parseStaffList(await wfxClient.getStaff());
+    console.log(chalk.gray(`📋 WFX Staff API returned ${staff.length} staff`));
     res.json(staff);
   } catch (error) {
     console.error(chalk.red('Error fetching WFX staff:'), error);
@@ -201,10 +282,13 @@ async function startServer() {
     console.log(chalk.gray('\nAvailable endpoints:'));
     console.log(chalk.gray('  • GET  /api/staff - List all staff'));
     console.log(chalk.gray('  • POST /api/compare - Run comparison'));
+    console.log(chalk.gray('  • POST /api/compare/fleet - Run comparison for a fleet export'));
     console.log(chalk.gray('  • GET  /api/results/:staffId - Get results'));
+    console.log(chalk.gray('  • GET  /api/results/:staffId/import-report - Rejected CSV rows'));
     console.log(chalk.gray('  • GET  /api/summary - Get all summaries'));
     console.log(chalk.gray('  • GET  /api/stats - Performance statistics'));
-    console.log(chalk.gray('  • POST /api/cache/clear - Clear cache'));
+    console.log(chalk.gray('  • GET  /api/cache - Inspect the WFX API cache'));
+    console.log(chalk.gray('  • POST /api/cache/clear - Clear cache (all, or by endpoint/staffId/from/to)'));
     console.log(chalk.gray('\nRun `npm run auth-status` to check WFX auth.'));
     console.log(chalk.gray('Run `npm run auth` to authenticate with WorkflowMax.'));
     console.log(chalk.gray('\nPress Ctrl+C to stop the server'));
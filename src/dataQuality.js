@@ -0,0 +1,196 @@
+const config = require('./config');
+const { timeToMinutes } = require('./csvParser');
+
+/**
+ * Data-quality checks on imported trips.
+ *
+ * Trackers drop trips when they lose power or signal. The odometer keeps
+ * counting, so consecutive trips that don't join up (or trips whose odometer
+ * delta disagrees with their own distance) point at missing data rather than
+ * at anything the driver did.
+ */
+
+/**
+ * Round to one decimal place
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Check that a trip's odometer delta agrees with its Distance column
+ * @param {Object} trip - Normalized trip
+ * @param {Object} thresholds - Data-quality thresholds
+ * @returns {Object|null} distance_mismatch issue or null
+ */
+function checkTripDistance(trip, thresholds) {
+  const start = trip['Start Odometer'];
+  const end = trip['End Odometer'];
+  if (!start || !end) return null;
+
+  const odometerKm = end - start;
+  const reportedKm = trip['Distance'] || 0;
+  const tolerance = Math.max(thresholds.distanceToleranceKm, reportedKm * thresholds.distanceTolerancePercent);
+
+  if (Math.abs(odometerKm - reportedKm) <= tolerance) return null;
+
+  return {
+    type: 'distance_mismatch',
+    date: trip.shiftDate || trip['Started, date'],
+    plate: trip['Number Plate'],
+    time: trip['Started, time'],
+    odometerKm: round1(odometerKm),
+    reportedKm: round1(reportedKm),
+    message: `Trip at ${trip['Started, time']}: odometer shows ${round1(odometerKm)}km but distance column shows ${round1(reportedKm)}km`,
+    severity: 'low'
+  };
+}
+
+/**
+ * Check the join between two consecutive trips of the same vehicle
+ * @param {Object} previous - Earlier trip
+ * @param {Object} next - Following trip
+ * @param {Object} thresholds - Data-quality thresholds
+ * @returns {Array} odometer_gap / odometer_regression / time_gap issues
+ */
+function checkTripJoin(previous, next, thresholds) {
+  const issues = [];
+  const date = next.shiftDate || next['Started, date'];
+  const between = `${previous['Finish, time']} and ${next['Started, time']}`;
+
+  const previousEnd = previous['End Odometer'];
+  const nextStart = next['Start Odometer'];
+  if (previousEnd && nextStart) {
+    const jumpKm = nextStart - previousEnd;
+    if (jumpKm > thresholds.odometerGapKm) {
+      issues.push({
+        type: 'odometer_gap',
+        date,
+        plate: next['Number Plate'],
+        from: previous['Finish, time'],
+        to: next['Started, time'],
+        missingKm: round1(jumpKm),
+        message: `${round1(jumpKm)}km not covered by any trip between ${between} - likely tracker dropout`,
+        severity: 'low'
+      });
+    } else if (jumpKm < -thresholds.odometerGapKm) {
+      issues.push({
+        type: 'odometer_regression',
+        date,
+        plate: next['Number Plate'],
+        from: previous['Finish, time'],
+        to: next['Started, time'],
+        missingKm: round1(jumpKm),
+        message: `Odometer went backwards by ${round1(-jumpKm)}km between ${between} - check the export`,
+        severity: 'low'
+      });
+    }
+  }
+
+  if (previous.finishedAt && next.startedAt) {
+    const gapMinutes = (new Date(next.startedAt) - new Date(previous.finishedAt)) / 60000;
+    const parkedMinutes = timeToMinutes(previous['Parking Time']);
+    const unexplained = gapMinutes - parkedMinutes;
+
+    // Only flag when the vehicle was parked for meaningfully less than the gap
+    if (parkedMinutes > 0 && unexplained > thresholds.timeGapToleranceMinutes) {
+      issues.push({
+        type: 'time_gap',
+        date,
+        plate: next['Number Plate'],
+        from: previous['Finish, time'],
+        to: next['Started, time'],
+        unexplainedMinutes: Math.round(unexplained),
+        message: `${Math.round(unexplained)} minutes unaccounted for between ${between} (parked ${Math.round(parkedMinutes)} of ${Math.round(gapMinutes)} minutes) - likely tracker dropout`,
+        severity: 'low'
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check whether a trip starts before the previous trip of the same vehicle
+ * has finished. A vehicle can't drive two trips at once, so this points at a
+ * corrupted or mis-merged export rather than a tracker dropout.
+ * @param {Object} previous - Earlier trip
+ * @param {Object} next - Following trip
+ * @returns {Object|null} trip_overlap issue or null
+ */
+function checkTripOverlap(previous, next) {
+  if (!previous.finishedAt || !next.startedAt) return null;
+
+  const overlapMinutes = (new Date(previous.finishedAt) - new Date(next.startedAt)) / 60000;
+  if (overlapMinutes <= 0) return null;
+
+  return {
+    type: 'trip_overlap',
+    date: next.shiftDate || next['Started, date'],
+    plate: next['Number Plate'],
+    from: next['Started, time'],
+    to: previous['Finish, time'],
+    overlapMinutes: Math.round(overlapMinutes),
+    message: `Trip at ${next['Started, time']} starts ${Math.round(overlapMinutes)} minutes before the previous trip finished (${previous['Finish, time']}) - export looks corrupted`,
+    severity: 'medium'
+  };
+}
+
+/**
+ * Check odometer and time continuity across a trip stream
+ * @param {Array} trips - Normalized trips (any order, any number of vehicles)
+ * @returns {Array} Data-quality issues, each with the shift date it belongs to
+ */
+function checkTripContinuity(trips) {
+  const thresholds = config.dataQuality;
+  const issues = [];
+
+  // Odometers are per vehicle
+  const byVehicle = new Map();
+  for (const trip of trips) {
+    const plate = trip['Number Plate'] || '';
+    if (!byVehicle.has(plate)) byVehicle.set(plate, []);
+    byVehicle.get(plate).push(trip);
+  }
+
+  for (const vehicleTrips of byVehicle.values()) {
+    const sorted = [...vehicleTrips].sort((a, b) => {
+      if (a.startedAt && b.startedAt) return new Date(a.startedAt) - new Date(b.startedAt);
+      return `${a['Started, date']} ${a['Started, time']}`.localeCompare(`${b['Started, date']} ${b['Started, time']}`);
+    });
+
+    sorted.forEach((trip, index) => {
+      const mismatch = checkTripDistance(trip, thresholds);
+      if (mismatch) issues.push(mismatch);
+
+      if (index > 0) {
+        const overlap = checkTripOverlap(sorted[index - 1], trip);
+        if (overlap) {
+          issues.push(overlap);
+        } else {
+          issues.push(...checkTripJoin(sorted[index - 1], trip, thresholds));
+        }
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Group data-quality issues by shift date
+ * @param {Array} issues - Issues from checkTripContinuity
+ * @returns {Object} Issues keyed by date
+ */
+function groupIssuesByDate(issues) {
+  return issues.reduce((grouped, issue) => {
+    if (!grouped[issue.date]) grouped[issue.date] = [];
+    grouped[issue.date].push(issue);
+    return grouped;
+  }, {});
+}
+
+module.exports = {
+  checkTripContinuity,
+  groupIssuesByDate
+};
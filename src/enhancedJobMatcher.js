@@ -1,10 +1,20 @@
 const config = require('./config');
+const timezone = require('./timezone');
+const geofences = require('./geofences');
+const Geocoder = require('./geocoder');
+const addressParser = require('./addressParser');
+const placeRegistry = require('./placeRegistry');
+const wfxModels = require('./wfxModels');
+
+// Best location score a suburb/postcode centroid can give on its own -
+// enough for an approximate match, never for an exact one
+const APPROXIMATE_LOCATION_MAX_SCORE = 0.7;
 
 class EnhancedJobMatcher {
   constructor(wfxClient) {
     this.wfxClient = wfxClient;
     this.addressCache = new Map();
-    this.geocodeCache = new Map();
+    this.geocoder = new Geocoder();
   }
 
   /**
@@ -22,8 +32,11 @@ class EnhancedJobMatcher {
         matchedJobs: 0,
         unmatchedTrips: 0,
         unmatchedWfxEntries: 0,
+        supplierRuns: 0,
+        attributedSupplierRuns: 0,
         locationMatchAccuracy: 0,
         timeMatchAccuracy: 0,
+        matchedAgainst: this.getMatchMode(),
         alerts: []
       }
     };
@@ -53,11 +66,14 @@ class EnhancedJobMatcher {
    * @returns {Object} Day comparison with job matches
    */
   async matchJobsForDay(date, csvDay, wfxDay, staffConfig) {
+    const matchedAgainst = this.getMatchMode();
     const dayComparison = {
       date,
+      matchedAgainst,
       jobMatches: [],
       unmatchedTrips: [],
       unmatchedWfxEntries: [],
+      placeStops: [],
       timeDiscrepancies: [],
       locationIssues: [],
       summary: {
@@ -69,19 +85,25 @@ class EnhancedJobMatcher {
       }
     };
 
+    // Work drive legs, or the time parked at non-home job sites between them
+    // (depot, supplier, fuel and lunch stops are known places, not jobs)
+    const candidates = matchedAgainst === 'visits'
+      ? (csvDay.visits || []).filter(visit => !visit.isHome && (!visit.place || visit.place.category === 'client_site'))
+      : csvDay.trips.filter(trip => trip.classification === 'work');
+
     if (!wfxDay || !wfxDay.entries || wfxDay.entries.length === 0) {
       // No WFX data for this day
-      dayComparison.unmatchedTrips = csvDay.trips.filter(trip => trip.classification === 'work');
+      dayComparison.unmatchedTrips = candidates;
+      dayComparison.placeStops = this.attributePlaceStops(csvDay, candidates, []);
       return dayComparison;
     }
 
     // Get job details for WFX entries
     const jobDetails = await this.fetchJobDetails(wfxDay.entries);
     
-    // Create time-sorted work trips
-    const workTrips = csvDay.trips
-      .filter(trip => trip.classification === 'work')
-      .sort((a, b) => a['Started, time'].localeCompare(b['Started, time']));
+    // Time-sorted trips or visits
+    const workTrips = candidates
+      .sort((a, b) => this.getTimeWindow(a).start - this.getTimeWindow(b).start);
 
     // Create time-sorted WFX entries with job details
     const wfxEntriesWithJobs = wfxDay.entries
@@ -89,7 +111,7 @@ class EnhancedJobMatcher {
         ...entry,
         jobDetails: jobDetails[entry.jobId] || null
       }))
-      .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+      .sort((a, b) => this.getWfxStartMinutes(a) - this.getWfxStartMinutes(b));
 
     // Perform sophisticated matching
     const matches = await this.performJobMatching(workTrips, wfxEntriesWithJobs, staffConfig);
@@ -100,6 +122,7 @@ class EnhancedJobMatcher {
     dayComparison.unmatchedWfxEntries = matches.unmatchedWfxEntries;
     dayComparison.timeDiscrepancies = matches.timeDiscrepancies;
     dayComparison.locationIssues = matches.locationIssues;
+    dayComparison.placeStops = this.attributePlaceStops(csvDay, candidates, matches.matched);
 
     // Calculate summary metrics
     this.calculateDaySummary(dayComparison);
@@ -109,7 +132,7 @@ class EnhancedJobMatcher {
 
   /**
    * Perform sophisticated job matching using multiple criteria
-   * @param {Array} trips - Work trips from CSV
+   * @param {Array} trips - Work trips from CSV, or site visits when matching against visits
    * @param {Array} wfxEntries - WFX timesheet entries with job details
    * @param {Object} staffConfig - Staff configuration
    * @returns {Object} Matching results
@@ -130,7 +153,7 @@ class EnhancedJobMatcher {
       
       if (bestMatch && bestMatch.confidence > config.processing.jobMatching.minimumMatchConfidence) {
         const matchInfo = {
-          trip,
+          ...this.describeSubject(trip),
           wfxEntry: bestMatch.wfxEntry,
           confidence: bestMatch.confidence,
           matchCriteria: bestMatch.criteria,
@@ -151,7 +174,7 @@ class EnhancedJobMatcher {
         // Check for discrepancies
         if (bestMatch.timeOffsetMinutes > config.processing.jobMatching.maxTimeOffsetMinutes) {
           results.timeDiscrepancies.push({
-            trip,
+            ...this.describeSubject(trip),
             wfxEntry: bestMatch.wfxEntry,
             offsetMinutes: bestMatch.timeOffsetMinutes,
             severity: bestMatch.timeOffsetMinutes > 60 ? 'high' : 'medium'
@@ -160,7 +183,7 @@ class EnhancedJobMatcher {
 
         if (bestMatch.distanceKm > config.processing.jobMatching.maxLocationDistanceKm) {
           results.locationIssues.push({
-            trip,
+            ...this.describeSubject(trip),
             wfxEntry: bestMatch.wfxEntry,
             distanceKm: bestMatch.distanceKm,
             severity: bestMatch.distanceKm > config.processing.jobMatching.maxLocationDistanceKm * 2 ? 'high' : 'medium'
@@ -226,9 +249,11 @@ class EnhancedJobMatcher {
     };
 
     // Location matching
+    const location = this.getLocation(trip);
     const locationScore = await this.calculateLocationMatch(
-      trip['Address to'], 
-      wfxEntry.jobDetails.address
+      location.address, 
+      wfxEntry.jobDetails.address,
+      { tripGeofence: location.geofence, tripPlace: location.place, jobDetails: wfxEntry.jobDetails }
     );
     score.locationMatch = locationScore.score;
     score.distanceKm = locationScore.distanceKm;
@@ -275,34 +300,90 @@ class EnhancedJobMatcher {
    * Calculate location match score using address comparison
    * @param {string} tripAddress - Trip destination address
    * @param {string} jobAddress - Job location address
+   * @param {Object} context - Optional { tripGeofence, tripPlace, jobDetails }; a
+   *                           geofence or known place mapped to the job or its
+   *                           client takes precedence
    * @returns {Object} Location match score and distance
    */
-  async calculateLocationMatch(tripAddress, jobAddress) {
+  async calculateLocationMatch(tripAddress, jobAddress, context = {}) {
+    // A known place or geofence that belongs elsewhere (0) rules the job out;
+    // only null falls through to address and distance scoring
+    const placeScore = placeRegistry.scorePlaceForJob(context.tripPlace, context.jobDetails);
+    if (placeScore !== null) {
+      return { score: placeScore, distanceKm: placeScore > 0 ? 0 : null, source: 'place' };
+    }
+
+    const geofenceScore = geofences.scoreGeofenceForJob(context.tripGeofence, context.jobDetails);
+    if (geofenceScore !== null) {
+      return { score: geofenceScore, distanceKm: geofenceScore > 0 ? 0 : null, source: 'geofence' };
+    }
+
     if (!tripAddress || !jobAddress) {
       return { score: 0, distanceKm: null };
     }
 
-    // Normalize addresses for comparison
-    const normalizedTrip = this.normalizeAddress(tripAddress);
-    const normalizedJob = this.normalizeAddress(jobAddress);
+    // Same street, nearby number, same suburb/postcode
+    const addressMatch = addressParser.compareAddresses(this.parseAddress(tripAddress), this.parseAddress(jobAddress));
+    if (addressMatch.sameSite) {
+      return { score: 1.0, distanceKm: 0, source: 'address' };
+    }
 
-    // Exact match
-    if (normalizedTrip === normalizedJob) {
-      return { score: 1.0, distanceKm: 0 };
+    // Units at one street number geocode to the same point, so distance can't tell them apart
+    if (addressMatch.mismatch === 'unit') {
+      return { score: addressMatch.score, distanceKm: null, source: 'address' };
     }
 
-    // Check for partial matches
-    const partialScore = this.calculatePartialAddressMatch(normalizedTrip, normalizedJob);
-    if (partialScore > 0.8) {
-      return { score: partialScore, distanceKm: 0.1 };
+    // Real distance between the geocoded addresses
+    const distance = this.geocoder.distanceBetween(tripAddress, jobAddress);
+    if (distance) {
+      let score = this.scoreDistance(distance);
+      // Agreeing address components beat the centroid cap
+      if (distance.precision !== 'exact' && addressMatch.score > 0.8) {
+        score = Math.max(score, addressMatch.score);
+      }
+      return {
+        score,
+        distanceKm: Math.round(distance.distanceKm * 100) / 100,
+        source: distance.precision === 'exact' ? 'geocoded' : 'gazetteer'
+      };
     }
 
-    // For lower partial matches, you might want to implement
-    // actual geocoding and distance calculation here
-    // For now, return the partial score with estimated distance
-    const estimatedDistance = (1 - partialScore) * 5; // Rough estimate
-    
-    return { score: partialScore, distanceKm: estimatedDistance };
+    // One of the addresses couldn't be placed - address components only, distance unknown
+    return { score: addressMatch.score, distanceKm: null, source: 'address' };
+  }
+
+  /**
+   * Distance between two geocoded points allowing for centroid uncertainty
+   * @param {Object} distance - { distanceKm, uncertaintyKm, precision } from the geocoder
+   * @returns {number} Kilometres
+   */
+  effectiveDistanceKm(distance) {
+    return distance.precision === 'exact'
+      ? distance.distanceKm
+      : Math.max(0, distance.distanceKm - distance.uncertaintyKm);
+  }
+
+  /**
+   * Score a distance: 1.0 within locationMatchTolerance, falling to 0.6 at
+   * maxLocationDistanceKm and to 0 at twice that
+   * @param {Object} distance - { distanceKm, uncertaintyKm, precision } from the geocoder
+   * @returns {number} Location score (0-1)
+   */
+  scoreDistance(distance) {
+    const toleranceKm = config.processing.locationMatchTolerance;
+    const maxKm = Math.max(config.processing.jobMatching.maxLocationDistanceKm, toleranceKm);
+    const km = this.effectiveDistanceKm(distance);
+
+    let score;
+    if (km <= toleranceKm) {
+      score = 1.0;
+    } else if (km <= maxKm) {
+      score = 1.0 - 0.4 * (km - toleranceKm) / (maxKm - toleranceKm);
+    } else {
+      score = Math.max(0, 0.6 * (1 - (km - maxKm) / maxKm));
+    }
+
+    return distance.precision === 'exact' ? score : Math.min(score, APPROXIMATE_LOCATION_MAX_SCORE);
   }
 
   /**
@@ -312,13 +393,11 @@ class EnhancedJobMatcher {
    * @returns {Object} Time match score and offset
    */
   calculateTimeMatch(trip, wfxEntry) {
-    // Convert times to minutes for calculation
-    const tripStart = this.timeToMinutes(trip['Started, time']);
-    const tripEnd = this.timeToMinutes(trip['Finish, time']);
-    const tripDuration = tripEnd - tripStart;
+    // Convert times to minutes into the shift for calculation
+    const { start: tripStart, end: tripEnd } = this.getTimeWindow(trip);
 
     // WFX entry time (may need to be inferred or calculated)
-    const wfxStart = this.timeToMinutes(wfxEntry.startTime || '09:00');
+    const wfxStart = this.getWfxStartMinutes(wfxEntry);
     const wfxEnd = wfxStart + (wfxEntry.minutes || 60);
 
     // Calculate overlap
@@ -346,7 +425,7 @@ class EnhancedJobMatcher {
    * @returns {number} Duration match score (0-1)
    */
   calculateDurationMatch(trip, wfxEntry) {
-    const tripDuration = this.timeToMinutes(trip['Driving Time']) || 0;
+    const tripDuration = this.getDurationMinutes(trip) || 0;
     const wfxDuration = wfxEntry.minutes || 0;
 
     if (tripDuration === 0 || wfxDuration === 0) return 0;
@@ -388,7 +467,7 @@ class EnhancedJobMatcher {
         
         if (matchScore.confidence > config.processing.jobMatching.fuzzyMatchThreshold) { // Use config threshold for fuzzy matching
           results.matched.push({
-            trip,
+            ...this.describeSubject(trip),
             wfxEntry,
             confidence: matchScore.confidence,
             matchCriteria: [...matchScore.criteria, 'fuzzy_match'],
@@ -415,22 +494,25 @@ class EnhancedJobMatcher {
     const jobDetails = {};
     const uniqueJobIds = [...new Set(wfxEntries.map(entry => entry.jobId).filter(Boolean))];
 
-    for (const jobId of uniqueJobIds) {
+    // All at once - the API client's scheduler limits concurrency and rate
+    await Promise.all(uniqueJobIds.map(async jobId => {
       try {
-        // Use the actual WFX API to fetch job details
-        const jobDetail = await this.wfxClient.getJob(jobId);
+        const job = wfxModels.parseJob(await this.wfxClient.getJob(jobId));
         jobDetails[jobId] = {
           id: jobId,
-          name: jobDetail.name || `Job ${jobId}`,
-          address: jobDetail.address || jobDetail.location || null,
-          client: jobDetail.client?.name || jobDetail.clientName || 'Unknown Client',
-          description: jobDetail.description || jobDetail.notes || '',
-          category: jobDetail.category || null,
-          status: jobDetail.status || null
+          name: job.name,
+          address: job.address,
+          client: job.client ? job.client.name : 'Unknown Client',
+          description: job.description,
+          category: job.type,
+          status: job.state
         };
       } catch (error) {
+        // A job we can't read is a broken integration, not a missing job;
+        // an error status (job not found) is about this job only
+        if (error instanceof wfxModels.WfxSchemaError && !error.status) throw error;
         console.warn(`Could not fetch job details for ${jobId}:`, error.message);
-        // Fallback to basic info if API call fails
+        // Fallback to basic info if the request fails or the job isn't found
         jobDetails[jobId] = {
           id: jobId,
           name: `Job ${jobId}`,
@@ -439,7 +521,7 @@ class EnhancedJobMatcher {
           description: 'Job details unavailable'
         };
       }
-    }
+    }));
 
     return jobDetails;
   }
@@ -448,22 +530,11 @@ class EnhancedJobMatcher {
    * Helper methods
    */
   
-  normalizeAddress(address) {
-    return address.toLowerCase()
-      .replace(/\b(street|st|road|rd|avenue|ave|drive|dr|lane|ln|court|ct)\b/g, '')
-      .replace(/[^\w\s]/g, '')
-      .replace(/\s+/g, ' ')
-      .trim();
-  }
-
-  calculatePartialAddressMatch(addr1, addr2) {
-    const words1 = addr1.split(' ').filter(w => w.length > 2);
-    const words2 = addr2.split(' ').filter(w => w.length > 2);
-    
-    if (words1.length === 0 || words2.length === 0) return 0;
-    
-    const matches = words1.filter(word => words2.includes(word));
-    return matches.length / Math.max(words1.length, words2.length);
+  parseAddress(address) {
+    if (!this.addressCache.has(address)) {
+      this.addressCache.set(address, addressParser.parseAddress(address));
+    }
+    return this.addressCache.get(address);
   }
 
   timeToMinutes(timeString) {
@@ -472,6 +543,118 @@ class EnhancedJobMatcher {
     return (hours || 0) * 60 + (minutes || 0);
   }
 
+  /**
+   * Which CSV items WFX entries are matched against: 'trips' or 'visits'
+   */
+  getMatchMode() {
+    return config.processing.jobMatching.matchAgainst === 'visits' ? 'visits' : 'trips';
+  }
+
+  /**
+   * Site visits carry a dwell time; drive legs don't
+   */
+  isVisit(item) {
+    return item.dwellMinutes !== undefined;
+  }
+
+  /**
+   * Key a matched trip or visit under the right name in match results
+   */
+  describeSubject(item) {
+    return this.isVisit(item) ? { visit: item } : { trip: item };
+  }
+
+  /**
+   * Where a trip ended or a visit took place
+   */
+  getLocation(item) {
+    if (this.isVisit(item)) {
+      return { address: item.address, geofence: item.geofence, place: item.place };
+    }
+    return { address: item['Address to'], geofence: item['Geofence to'], place: item.place };
+  }
+
+  /**
+   * List the day's stops at known places (depot, supplier, fuel, lunch).
+   * A supplier run is attributed to the job the tech went to next, since the
+   * materials were bought for it.
+   * @param {Object} csvDay - Day summary from processCsvData
+   * @param {Array} candidates - The day's job trips or visits, as matched
+   * @param {Array} matched - Job matches for the day
+   * @returns {Array} [{ trip|visit, place, attributedTo }] - attributedTo is
+   *                  { site, jobId, jobName, client, wfxEntryId } or null
+   */
+  attributePlaceStops(csvDay, candidates, matched) {
+    const stops = this.getMatchMode() === 'visits'
+      ? (csvDay.visits || []).filter(visit => visit.place && visit.place.category !== 'client_site')
+      : csvDay.trips.filter(trip => trip.place && trip.place.category !== 'client_site');
+
+    const ordered = [...candidates].sort((a, b) => this.getTimeWindow(a).start - this.getTimeWindow(b).start);
+
+    return stops.map(stop => {
+      let attributedTo = null;
+      if (stop.place.category === 'supplier') {
+        const stopEnd = this.getTimeWindow(stop).end;
+        const next = ordered.find(item => this.getTimeWindow(item).start >= stopEnd);
+        const match = next && matched.find(m => m.trip === next || m.visit === next);
+        // Without a matching WFX entry the next site is still a better answer than "unexplained"
+        if (next) {
+          const job = match ? match.wfxEntry.jobDetails || {} : {};
+          attributedTo = {
+            site: this.getLocation(next).address,
+            jobId: match ? match.wfxEntry.jobId : null,
+            jobName: job.name || null,
+            client: job.client || null,
+            wfxEntryId: match ? match.wfxEntry.id : null
+          };
+        }
+      }
+
+      return { ...this.describeSubject(stop), place: stop.place, attributedTo };
+    });
+  }
+
+  /**
+   * Minutes spent on a trip (driving) or a visit (parked on site)
+   */
+  getDurationMinutes(item) {
+    return this.isVisit(item) ? item.dwellMinutes : this.timeToMinutes(item['Driving Time']);
+  }
+
+  /**
+   * Start/end of a trip or visit in minutes into its shift
+   */
+  getTimeWindow(item) {
+    if (this.isVisit(item)) {
+      return { start: item.arrivalMinutes, end: item.departureMinutes };
+    }
+    return this.getTripWindow(item);
+  }
+
+  /**
+   * Trip start/end in minutes into its shift (above 1440 after midnight)
+   */
+  getTripWindow(trip) {
+    if (trip.shiftStartMinutes !== undefined) {
+      return { start: trip.shiftStartMinutes, end: trip.shiftFinishMinutes };
+    }
+    const start = this.timeToMinutes(trip['Started, time']);
+    let end = this.timeToMinutes(trip['Finish, time']);
+    if (end < start) end += 24 * 60;
+    return { start, end };
+  }
+
+  /**
+   * WFX entry start in minutes into its shift. Entries before the work day
+   * boundary were grouped into the previous shift, so they sit after midnight.
+   */
+  getWfxStartMinutes(wfxEntry) {
+    if (!wfxEntry.startTime) return this.timeToMinutes('09:00');
+    
+    const minutes = this.timeToMinutes(wfxEntry.startTime);
+    return minutes < timezone.getWorkDayBoundaryMinutes() ? minutes + 24 * 60 : minutes;
+  }
+
   calculateDaySummary(dayComparison) {
     const matched = dayComparison.jobMatches;
     dayComparison.summary.matchedHours = matched.reduce((sum, match) => 
@@ -489,6 +672,10 @@ class EnhancedJobMatcher {
     summary.matchedJobs += dayComparison.jobMatches.length;
     summary.unmatchedTrips += dayComparison.unmatchedTrips.length;
     summary.unmatchedWfxEntries += dayComparison.unmatchedWfxEntries.length;
+
+    const supplierRuns = dayComparison.placeStops.filter(stop => stop.place.category === 'supplier');
+    summary.supplierRuns += supplierRuns.length;
+    summary.attributedSupplierRuns += supplierRuns.filter(stop => stop.attributedTo).length;
   }
 
   calculateAccuracyMetrics(summary) {
@@ -0,0 +1,141 @@
+const config = require('./config');
+const timezone = require('./timezone');
+const staffAssignments = require('./staffAssignments');
+const { normalizePlate } = require('./tripIdentity');
+
+/**
+ * Fleet-wide import routing.
+ *
+ * The tracking portal can export the whole fleet in one file with a
+ * `Number Plate` and `Driver` column. These helpers split such an export into
+ * per-staff trip lists: a recognised driver name wins, otherwise the plate is
+ * matched against the vehicleId each staff member had on the trip's date.
+ * Trips that can't be routed are reported per plate instead of being dropped.
+ */
+
+/**
+ * Normalize a person's name for comparison
+ * @param {string} name - Driver or staff name
+ * @returns {string} Comparable name
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build lookup tables from the staff configuration
+ * @param {Object} staff - Staff configuration keyed by staff ID
+ * @returns {Object} { byDriver: Map, staff: Array } - staff as [staffId, staffConfig] pairs
+ */
+function buildRoutingTables(staff) {
+  const byDriver = new Map();
+
+  Object.entries(staff).forEach(([staffId, staffConfig]) => {
+    const names = [staffConfig.fullName, ...(staffConfig.driverNames || [])];
+    names.filter(Boolean).forEach(name => byDriver.set(normalizeName(name), staffId));
+  });
+
+  return { byDriver, staff: Object.entries(staff) };
+}
+
+/**
+ * Find who had a vehicle on a date (vehicles move between staff over time)
+ * @param {string} plate - Normalized plate
+ * @param {string} date - Trip date (YYYY-MM-DD)
+ * @param {Array} staff - [staffId, staffConfig] pairs
+ * @returns {string|null} Staff ID
+ */
+function findVehicleHolder(plate, date, staff) {
+  const holder = staff.find(([, staffConfig]) => {
+    const { vehicleId } = staffAssignments.resolveStaffConfig(staffConfig, date);
+    return vehicleId && normalizePlate(vehicleId) === plate;
+  });
+  return holder ? holder[0] : null;
+}
+
+/**
+ * Route a single trip to a staff member
+ * @param {Object} trip - Normalized trip
+ * @param {Object} tables - Routing tables from buildRoutingTables
+ * @returns {Object|null} { staffId, routedBy } or null if unassigned
+ */
+function routeTrip(trip, tables) {
+  const driver = normalizeName(trip['Driver']);
+  if (driver && driver !== 'unknown' && tables.byDriver.has(driver)) {
+    return { staffId: tables.byDriver.get(driver), routedBy: 'driver' };
+  }
+
+  const plate = normalizePlate(trip['Number Plate']);
+  const holder = plate ? findVehicleHolder(plate, trip['Started, date'], tables.staff) : null;
+  if (holder) {
+    return { staffId: holder, routedBy: 'vehicle' };
+  }
+
+  return null;
+}
+
+/**
+ * Re-derive a trip's absolute instants using its staff member's timezone.
+ * Fleet files are parsed before we know who drove, so trips without a
+ * vehicle-level timezone start out in the application default.
+ * @param {Object} trip - Normalized trip (modified in place)
+ * @param {Object} staffConfig - Staff configuration
+ */
+function applyStaffTimezone(trip, staffConfig) {
+  const tripTimezone = timezone.resolveTimezone({ plate: trip['Number Plate'], staffConfig });
+  if (tripTimezone === trip.timezone) return;
+
+  trip.timezone = tripTimezone;
+  trip.startedAt = timezone.toInstant(trip['Started, date'], trip['Started, time'], tripTimezone);
+  trip.finishedAt = timezone.toInstant(trip['Finish, date'], trip['Finish, time'], tripTimezone);
+}
+
+/**
+ * Split a fleet export into per-staff trip lists
+ * @param {Array} trips - Normalized trips from the whole fleet
+ * @param {Object} staff - Staff configuration keyed by staff ID (defaults to config.staff)
+ * @returns {Object} { byStaff: { staffId: trips }, unassigned: [{ plate, drivers, tripCount, firstDate, lastDate }] }
+ */
+function routeFleetTrips(trips, staff = config.staff) {
+  const tables = buildRoutingTables(staff);
+  const byStaff = {};
+  const unassignedByPlate = new Map();
+
+  for (const trip of trips) {
+    const route = routeTrip(trip, tables);
+
+    if (route) {
+      trip.routedBy = route.routedBy;
+      applyStaffTimezone(trip, staff[route.staffId]);
+      if (!byStaff[route.staffId]) byStaff[route.staffId] = [];
+      byStaff[route.staffId].push(trip);
+      continue;
+    }
+
+    const plate = trip['Number Plate'] || '(no plate)';
+    if (!unassignedByPlate.has(plate)) {
+      unassignedByPlate.set(plate, { plate, drivers: new Set(), tripCount: 0, firstDate: null, lastDate: null });
+    }
+    const entry = unassignedByPlate.get(plate);
+    const date = trip['Started, date'];
+    entry.tripCount++;
+    if (trip['Driver'] && trip['Driver'] !== 'Unknown') entry.drivers.add(trip['Driver']);
+    if (!entry.firstDate || date < entry.firstDate) entry.firstDate = date;
+    if (!entry.lastDate || date > entry.lastDate) entry.lastDate = date;
+  }
+
+  // Keep each staff member's trips in chronological order
+  Object.values(byStaff).forEach(staffTrips => {
+    staffTrips.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+  });
+
+  const unassigned = Array.from(unassignedByPlate.values())
+    .map(entry => ({ ...entry, drivers: Array.from(entry.drivers) }))
+    .sort((a, b) => b.tripCount - a.tripCount);
+
+  return { byStaff, unassigned };
+}
+
+module.exports = {
+  routeFleetTrips
+};
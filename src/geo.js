@@ -0,0 +1,30 @@
+/**
+ * Geographic helpers.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Convert degrees to radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { lat, lon } in decimal degrees
+ * @param {Object} b - { lat, lon } in decimal degrees
+ * @returns {number} Distance in kilometres
+ */
+function haversineKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+module.exports = {
+  haversineKm
+};
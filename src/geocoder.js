@@ -0,0 +1,262 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const config = require('./config');
+const { haversineKm } = require('./geo');
+const addressParser = require('./addressParser');
+
+/**
+ * Offline geocoder.
+ *
+ * Resolves addresses to coordinates without any network access, most precise
+ * source first:
+ *   1. coordinates written in the address itself ("-33.90000, 151.00000", as
+ *      produced for GPX/KML tracks)
+ *   2. addresses confirmed by an admin (data/confirmed_addresses.json)
+ *   3. the suburb/postcode centroid gazetteer (resources/gazetteer)
+ * Results are cached on disk so repeated runs don't re-resolve addresses. The
+ * cache is tied to a hash of the gazetteer and dropped when the gazetteer changes.
+ */
+
+/**
+ * Normalize an address for cache and confirmed-address lookups, so "Street"
+ * and "St" spellings of one address share an entry
+ * @param {string} address - Address text
+ * @returns {string} Lookup key
+ */
+function addressKey(address) {
+  return addressParser.canonicalizeAddress(address).toLowerCase();
+}
+
+/**
+ * Normalize a suburb name for gazetteer lookups
+ */
+function suburbKey(suburb) {
+  return String(suburb || '').toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+class Geocoder {
+  /**
+   * @param {Object} options - Overrides for the configured file locations
+   */
+  constructor(options = {}) {
+    this.settings = { ...config.geocoding, ...options };
+    this.cache = new Map();
+    this.confirmed = new Map();
+    this.bySuburbPostcode = new Map();
+    this.bySuburb = new Map();
+    this.byPostcode = new Map();
+    this.gazetteerVersion = null;
+    this.dirty = false;
+
+    // Synchronous so lookups are ready as soon as the matcher is constructed
+    this.loadGazetteerSync();
+    this.confirmed = this.loadMapSync(this.settings.confirmedFile);
+    this.cache = this.loadCacheSync();
+  }
+
+  /**
+   * Load the suburb/postcode centroid gazetteer
+   */
+  loadGazetteerSync() {
+    let rows = [];
+    try {
+      const text = fs.readFileSync(this.settings.gazetteerFile, 'utf8');
+      this.gazetteerVersion = crypto.createHash('sha1').update(text).digest('hex');
+      rows = parse(text, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not load gazetteer ${this.settings.gazetteerFile}: ${error.message}`);
+      return;
+    }
+
+    const postcodePoints = new Map();
+    rows.forEach(row => {
+      const point = { lat: parseFloat(row.lat), lon: parseFloat(row.lon) };
+      if (!Number.isFinite(point.lat) || !Number.isFinite(point.lon)) return;
+
+      const suburb = suburbKey(row.suburb);
+      this.bySuburbPostcode.set(`${suburb}|${row.postcode}`, point);
+      if (!this.bySuburb.has(suburb)) this.bySuburb.set(suburb, []);
+      this.bySuburb.get(suburb).push(point);
+
+      if (!postcodePoints.has(row.postcode)) postcodePoints.set(row.postcode, []);
+      postcodePoints.get(row.postcode).push(point);
+    });
+
+    // A postcode's location is the mean of its suburbs' centroids
+    postcodePoints.forEach((points, postcode) => {
+      this.byPostcode.set(postcode, {
+        lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+        lon: points.reduce((sum, point) => sum + point.lon, 0) / points.length
+      });
+    });
+  }
+
+  /**
+   * Load a JSON object file into a Map (missing file = empty)
+   * @param {string} filePath - JSON file
+   * @returns {Map} Entries
+   */
+  loadMapSync(filePath) {
+    try {
+      return new Map(Object.entries(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  /**
+   * Load the geocode cache, unless it was built from a different gazetteer
+   * @returns {Map} Cached results
+   */
+  loadCacheSync() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.settings.cacheFile, 'utf8'));
+      // Caches written before versioning have no gazetteerVersion and are rebuilt too
+      if (stored.gazetteerVersion !== this.gazetteerVersion || !stored.entries) {
+        this.dirty = true;
+        return new Map();
+      }
+      return new Map(Object.entries(stored.entries));
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  /**
+   * Resolve an address to coordinates
+   * @param {string} address - Address text (or "lat, lon")
+   * @returns {Object|null} { lat, lon, precision, source, uncertaintyKm } or null if unknown
+   */
+  geocode(address) {
+    if (!address) return null;
+
+    const parsed = addressParser.parseAddress(address);
+    if (parsed.coordinates) {
+      return this.result(parsed.coordinates, 'exact', 'coordinates');
+    }
+
+    const key = addressKey(address);
+    if (this.confirmed.has(key)) {
+      return this.result(this.confirmed.get(key), 'exact', 'confirmed');
+    }
+
+    if (this.cache.has(key)) {
+      const cached = this.cache.get(key);
+      return this.result(cached, cached.precision, 'cache');
+    }
+
+    // Misses aren't cached, so addresses added to the gazetteer later resolve
+    const resolved = this.lookupGazetteer(parsed);
+    if (resolved) {
+      this.cache.set(key, { lat: resolved.lat, lon: resolved.lon, precision: resolved.precision });
+      this.dirty = true;
+    }
+    return resolved;
+  }
+
+  /**
+   * Resolve an address against the gazetteer: suburb + postcode, then suburb
+   * alone (if unambiguous), then postcode
+   * @param {Object} parsed - Result of addressParser.parseAddress
+   * @returns {Object|null} Geocode result or null
+   */
+  lookupGazetteer(parsed) {
+    const suburb = suburbKey(parsed.suburb);
+    if (suburb) {
+      const exact = this.bySuburbPostcode.get(`${suburb}|${parsed.postcode}`);
+      if (exact) return this.result(exact, 'suburb', 'gazetteer');
+
+      const named = this.bySuburb.get(suburb);
+      if (named && named.length === 1) return this.result(named[0], 'suburb', 'gazetteer');
+    }
+
+    const postcode = parsed.postcode ? this.byPostcode.get(parsed.postcode) : null;
+    return postcode ? this.result(postcode, 'postcode', 'gazetteer') : null;
+  }
+
+  /**
+   * Build a geocode result
+   */
+  result(point, precision, source) {
+    return {
+      lat: point.lat,
+      lon: point.lon,
+      precision,
+      source,
+      uncertaintyKm: this.settings.uncertaintyKm[precision] || 0
+    };
+  }
+
+  /**
+   * Distance between two addresses
+   * @param {string} addressA - First address
+   * @param {string} addressB - Second address
+   * @returns {Object|null} { distanceKm, uncertaintyKm, precision } or null if either can't be resolved
+   */
+  distanceBetween(addressA, addressB) {
+    const a = this.geocode(addressA);
+    const b = this.geocode(addressB);
+    if (!a || !b) return null;
+
+    return {
+      distanceKm: haversineKm(a, b),
+      uncertaintyKm: a.uncertaintyKm + b.uncertaintyKm,
+      precision: a.precision === 'exact' && b.precision === 'exact' ? 'exact' : 'approximate'
+    };
+  }
+
+  /**
+   * Record an address's confirmed coordinates (e.g. a job site checked on a
+   * map). Confirmed addresses beat the gazetteer from then on.
+   * @param {string} address - Address text
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   */
+  async confirmAddress(address, lat, lon) {
+    const key = addressKey(address);
+    this.confirmed.set(key, { lat, lon, address, confirmedAt: new Date().toISOString() });
+    this.cache.delete(key);
+    this.dirty = true;
+
+    await fsPromises.mkdir(path.dirname(this.settings.confirmedFile), { recursive: true });
+    await fsPromises.writeFile(this.settings.confirmedFile, JSON.stringify(Object.fromEntries(this.confirmed), null, 2));
+  }
+
+  /**
+   * Persist the geocode cache if anything new was resolved
+   */
+  async saveCache() {
+    if (!this.dirty) return;
+
+    try {
+      await fsPromises.mkdir(path.dirname(this.settings.cacheFile), { recursive: true });
+      await fsPromises.writeFile(this.settings.cacheFile, JSON.stringify({
+        gazetteerVersion: this.gazetteerVersion,
+        entries: Object.fromEntries(this.cache)
+      }));
+      this.dirty = false;
+    } catch (error) {
+      console.warn(`⚠️  Could not save geocode cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cache statistics
+   */
+  getStats() {
+    return {
+      cachedAddresses: this.cache.size,
+      confirmedAddresses: this.confirmed.size,
+      gazetteerLocalities: this.bySuburbPostcode.size
+    };
+  }
+}
+
+module.exports = Geocoder;
@@ -0,0 +1,124 @@
+const config = require('./config');
+
+/**
+ * Geofence lookups.
+ *
+ * Telematics exports name the geofence a trip started or ended in ("Depot",
+ * "Home - Ali", a client site). A named geofence is a far better site
+ * identifier than the reverse-geocoded street address, so it is preferred
+ * wherever a trip's location is needed. config.geofences maps geofence names
+ * to a category and, for client sites, to the WFX client or jobs they belong to.
+ */
+
+/**
+ * Normalize a geofence name for lookup
+ * @param {string} name - Geofence name
+ * @returns {string} Lookup key
+ */
+function geofenceKey(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Look up a geofence in the mapping table
+ * @param {string} name - Geofence name from the export
+ * @returns {Object|null} Mapping entry with its name, or null if unmapped
+ */
+function getGeofence(name) {
+  if (!name) return null;
+  const key = geofenceKey(name);
+
+  const match = Object.entries(config.geofences)
+    .find(([geofenceName]) => geofenceKey(geofenceName) === key);
+
+  return match ? { name: match[0], ...match[1] } : null;
+}
+
+/**
+ * Get a trip's geofence name at one end
+ * @param {Object} trip - Normalized trip
+ * @param {string} end - 'from' or 'to'
+ * @returns {string} Geofence name ('' if none)
+ */
+function getTripGeofence(trip, end) {
+  return (end === 'from' ? trip['Geofence from'] : trip['Geofence to']) || '';
+}
+
+/**
+ * Get the best site label for one end of a trip: the geofence name when
+ * present, otherwise the free-text address
+ * @param {Object} trip - Normalized trip
+ * @param {string} end - 'from' or 'to'
+ * @returns {string} Site label
+ */
+function getTripSite(trip, end) {
+  return getTripGeofence(trip, end) || (end === 'from' ? trip['Address from'] : trip['Address to']) || '';
+}
+
+/**
+ * Decide whether a geofence is a staff member's home.
+ * Mapped geofences use their category (and staffId when set); unmapped ones
+ * count as home when named like "Home - <first name>" or when they equal the
+ * staff member's configured homeGeofence.
+ * @param {string} name - Geofence name
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {boolean} True if the geofence is this person's home
+ */
+function isHomeGeofence(name, staffConfig) {
+  if (!name) return false;
+
+  if (staffConfig.homeGeofence && geofenceKey(staffConfig.homeGeofence) === geofenceKey(name)) {
+    return true;
+  }
+
+  const mapped = getGeofence(name);
+  if (mapped) {
+    if (mapped.category !== 'home') return false;
+    return !mapped.staffId || mapped.staffId === staffConfig.staffId ||
+      geofenceKey(mapped.staffName) === geofenceKey(staffConfig.fullName);
+  }
+
+  const firstName = geofenceKey((staffConfig.fullName || '').split(' ')[0]);
+  const match = geofenceKey(name).match(/^home\b[\s\-:]*(.*)$/);
+  return Boolean(match && firstName && match[1].split(/[\s\-]+/).includes(firstName));
+}
+
+/**
+ * Score how well a geofence identifies a WFX job's site
+ * @param {string} name - Geofence name
+ * @param {Object} jobDetails - Job details ({ id, name, client })
+ * @returns {number|null} Score 0-1, or null if the geofence says nothing about this job
+ */
+function scoreGeofenceForJob(name, jobDetails) {
+  if (!name || !jobDetails) return null;
+
+  const mapped = getGeofence(name);
+  if (mapped) {
+    if (mapped.wfxJobIds && mapped.wfxJobIds.map(String).includes(String(jobDetails.id))) {
+      return 1.0;
+    }
+    if (mapped.wfxClient && geofenceKey(mapped.wfxClient) === geofenceKey(jobDetails.client)) {
+      return 0.9;
+    }
+    // Mapped to something else (depot, another client) - not this job's site
+    if (mapped.wfxJobIds || mapped.wfxClient || mapped.category) {
+      return 0;
+    }
+  }
+
+  // Unmapped geofence named after the client or job
+  const key = geofenceKey(name);
+  if (key && (key === geofenceKey(jobDetails.client) || key === geofenceKey(jobDetails.name))) {
+    return 0.85;
+  }
+
+  return null;
+}
+
+module.exports = {
+  getGeofence,
+  getTripGeofence,
+  getTripSite,
+  isHomeGeofence,
+  scoreGeofenceForJob
+};
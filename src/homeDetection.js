@@ -0,0 +1,158 @@
+const config = require('./config');
+const geofences = require('./geofences');
+const addressParser = require('./addressParser');
+const { haversineKm } = require('./geo');
+
+/**
+ * Home-location detection.
+ *
+ * A stop is home when its geofence is a home geofence, when its address is
+ * the same site as one of the staff member's home locations (same street,
+ * nearby number), or when it geocodes to within the home's radius. Every
+ * check is recorded so the report can say why a stop was treated as home.
+ *
+ * Staff can have several homes (a partner's place, a holiday house):
+ *
+ *   homeLocations: [
+ *     { label: 'Home', address: '4 Columbine Avenue, Bankstown NSW 2200' },
+ *     { label: 'Partner', address: '...', lat: -33.95, lon: 151.1, radiusMetres: 200 }
+ *   ]
+ *
+ * The top-level homeAddress / homeGeofence still work and count as the first home.
+ */
+
+/**
+ * Get all of a staff member's home locations
+ * @param {Object} staffConfig - Staff configuration (as resolved for the day)
+ * @returns {Array} [{ label, address, geofence, lat, lon, radiusMetres }]
+ */
+function getHomeLocations(staffConfig) {
+  const locations = [];
+
+  if (staffConfig.homeAddress || staffConfig.homeGeofence) {
+    locations.push({ label: 'Home', address: staffConfig.homeAddress || null, geofence: staffConfig.homeGeofence || null });
+  }
+
+  (staffConfig.homeLocations || []).forEach(location => {
+    locations.push({ label: location.label || `Home ${locations.length + 1}`, ...location });
+  });
+
+  return locations;
+}
+
+/**
+ * Locate a home: configured coordinates win over geocoding its address
+ * @param {Object} home - Home location
+ * @param {Object} geocoder - Geocoder instance
+ * @returns {Object|null} { lat, lon, uncertaintyKm }
+ */
+function locateHome(home, geocoder) {
+  if (Number.isFinite(home.lat) && Number.isFinite(home.lon)) {
+    return { lat: home.lat, lon: home.lon, uncertaintyKm: 0 };
+  }
+  return geocoder && home.address ? geocoder.geocode(home.address) : null;
+}
+
+/**
+ * Check a stop against one home location
+ * @param {string} address - Stop address
+ * @param {Object} home - Home location
+ * @param {Object} geocoder - Geocoder instance (optional)
+ * @returns {Array} Evidence entries { check, home, matched, detail }
+ */
+function checkHome(address, home, geocoder) {
+  const evidence = [];
+
+  if (home.address) {
+    const comparison = addressParser.compareAddresses(address, home.address);
+    const stop = addressParser.parseAddress(address);
+    const homeParsed = addressParser.parseAddress(home.address);
+    evidence.push({
+      check: 'address',
+      home: home.label,
+      matched: comparison.sameSite,
+      detail: comparison.sameSite
+        ? `same site as ${addressParser.formatAddress(homeParsed)} (${stop.streetNumber || '?'} vs ${homeParsed.streetNumber || '?'})`
+        : `differs from ${home.label} (${comparison.mismatch || `score ${comparison.score.toFixed(2)}`})`
+    });
+  }
+
+  const radiusKm = (home.radiusMetres || config.processing.homeDetection.radiusMetres) / 1000;
+  const homePoint = locateHome(home, geocoder);
+  const stopPoint = geocoder ? geocoder.geocode(address) : null;
+  if (homePoint && stopPoint) {
+    const distanceKm = haversineKm(stopPoint, homePoint);
+    const uncertaintyKm = homePoint.uncertaintyKm + stopPoint.uncertaintyKm;
+    const metres = Math.round(distanceKm * 1000);
+
+    // A suburb centroid can't place a stop within a ~150 m radius
+    if (uncertaintyKm > radiusKm) {
+      evidence.push({ check: 'radius', home: home.label, matched: false, detail: `${metres} m away, location too imprecise to tell` });
+    } else {
+      evidence.push({
+        check: 'radius',
+        home: home.label,
+        matched: distanceKm <= radiusKm,
+        detail: `${metres} m from ${home.label} (radius ${Math.round(radiusKm * 1000)} m)`
+      });
+    }
+  }
+
+  return evidence;
+}
+
+/**
+ * Decide whether a stop is one of a staff member's homes
+ * @param {Object} stop - { address, geofence }
+ * @param {Object} staffConfig - Staff configuration (as resolved for the day)
+ * @param {Object} options - Options
+ * @param {Object} options.geocoder - Geocoder for radius checks (optional)
+ * @param {string} options.frequentAddress - Most frequent address in the staff member's trips (optional)
+ * @returns {Object} { isHome, home, reason, evidence }
+ */
+function detectHome(stop, staffConfig, options = {}) {
+  const { address, geofence } = stop;
+  const homes = getHomeLocations(staffConfig);
+
+  // A geofence name, when the export has one, decides on its own
+  if (geofence) {
+    const home = homes.find(location => location.geofence && location.geofence.toLowerCase() === geofence.toLowerCase());
+    const matched = Boolean(home) || geofences.isHomeGeofence(geofence, staffConfig);
+    const evidence = [{
+      check: 'geofence',
+      home: home ? home.label : null,
+      matched,
+      detail: matched ? `"${geofence}" is a home geofence` : `"${geofence}" is not a home geofence`
+    }];
+    return { isHome: matched, home: evidence[0].home, reason: matched ? `geofence: ${evidence[0].detail}` : null, evidence };
+  }
+
+  if (!address) {
+    return { isHome: false, home: null, reason: null, evidence: [] };
+  }
+
+  const evidence = [];
+  homes.forEach(home => evidence.push(...checkHome(address, home, options.geocoder)));
+
+  if (options.frequentAddress) {
+    evidence.push({
+      check: 'frequency',
+      home: null,
+      matched: options.frequentAddress === address,
+      detail: 'most frequent address in the trip file'
+    });
+  }
+
+  const match = evidence.find(entry => entry.matched);
+  return {
+    isHome: Boolean(match),
+    home: match ? match.home : null,
+    reason: match ? `${match.check}: ${match.detail}` : null,
+    evidence
+  };
+}
+
+module.exports = {
+  getHomeLocations,
+  detectHome
+};
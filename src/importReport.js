@@ -0,0 +1,148 @@
+/**
+ * Row-level import report.
+ *
+ * Collects what happened to every row of an imported trip file so admins can
+ * see which rows were rejected and why, and fix the source export. The report
+ * is returned alongside the trips, stored with each comparison result and
+ * shown in the dashboard and Excel report.
+ */
+
+// Reason codes for rejected rows
+const REASONS = {
+  MISSING_REQUIRED: 'missing_required',
+  INVALID_DATE: 'invalid_date',
+  INVALID_DISTANCE: 'invalid_distance',
+  MALFORMED_ROW: 'malformed_row',
+  PROCESSING_ERROR: 'processing_error'
+};
+
+// Keep reports a manageable size on badly broken files
+const MAX_REJECTED_ROWS = 500;
+
+/**
+ * Create an empty import report
+ * @param {Object} source - { file, format }
+ * @returns {Object} Import report
+ */
+function createImportReport(source = {}) {
+  return {
+    file: source.file || null,
+    format: source.format || null,
+    totalRows: 0,
+    acceptedCount: 0,
+    rejectedCount: 0,
+    reasonCounts: {},
+    rejectedRows: [],
+    duplicateCount: 0,
+    duplicates: [],
+    truncated: false,
+    importedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Record an accepted row
+ * @param {Object} report - Import report
+ */
+function recordAccepted(report) {
+  report.totalRows++;
+  report.acceptedCount++;
+}
+
+/**
+ * Record a rejected row
+ * @param {Object} report - Import report
+ * @param {Object} rejection - Rejection details
+ * @param {string} rejection.reason - One of REASONS
+ * @param {string} rejection.message - Human readable explanation
+ * @param {number} rejection.row - Data row number (1 = first row after the header)
+ * @param {number} rejection.line - Line number in the source file
+ * @param {Object|string} rejection.raw - Raw values as read from the file
+ */
+function recordRejected(report, { reason, message, row = null, line = null, raw = null }) {
+  report.totalRows++;
+  report.rejectedCount++;
+  report.reasonCounts[reason] = (report.reasonCounts[reason] || 0) + 1;
+
+  if (report.rejectedRows.length >= MAX_REJECTED_ROWS) {
+    report.truncated = true;
+    return;
+  }
+
+  report.rejectedRows.push({ row, line, reason, message, raw });
+}
+
+/**
+ * Record a row that was valid but repeats a trip already imported (re-exported
+ * date ranges, concatenated files). The row stops counting as accepted.
+ * @param {Object} report - Import report
+ * @param {Object} duplicate - Duplicate details
+ * @param {number} duplicate.row - Data row number of the dropped copy
+ * @param {string} duplicate.file - File the dropped copy came from
+ * @param {Object} duplicate.duplicateOf - { row, file } of the copy that was kept
+ * @param {string} duplicate.message - Human readable explanation
+ */
+function recordDuplicate(report, { row = null, file = null, duplicateOf = null, message }) {
+  report.acceptedCount--;
+  report.duplicateCount++;
+
+  if (report.duplicates.length >= MAX_REJECTED_ROWS) {
+    report.truncated = true;
+    return;
+  }
+
+  report.duplicates.push({ row, file, duplicateOf, message });
+}
+
+/**
+ * Combine the reports of several files imported together
+ * @param {Array} reports - Import reports, one per file
+ * @returns {Object} Combined report; rejected rows carry their file
+ */
+function mergeReports(reports) {
+  const merged = createImportReport({
+    file: reports.map(report => report.file).join(', '),
+    format: [...new Set(reports.map(report => report.format).filter(Boolean))].join(', ')
+  });
+  merged.files = reports.map(report => report.file);
+
+  reports.forEach(report => {
+    merged.totalRows += report.totalRows;
+    merged.acceptedCount += report.acceptedCount;
+    merged.rejectedCount += report.rejectedCount;
+    merged.duplicateCount += report.duplicateCount;
+    merged.truncated = merged.truncated || report.truncated;
+    Object.entries(report.reasonCounts).forEach(([reason, count]) => {
+      merged.reasonCounts[reason] = (merged.reasonCounts[reason] || 0) + count;
+    });
+    merged.rejectedRows.push(...report.rejectedRows.map(rejected => ({ file: report.file, ...rejected })));
+    merged.duplicates.push(...report.duplicates.map(duplicate => ({ ...duplicate, file: duplicate.file || report.file })));
+  });
+
+  return merged;
+}
+
+/**
+ * One-line summary of a report for console output
+ * @param {Object} report - Import report
+ * @returns {string} Summary
+ */
+function summarize(report) {
+  const reasons = Object.entries(report.reasonCounts)
+    .map(([reason, count]) => `${count} ${reason}`)
+    .join(', ');
+
+  return `${report.acceptedCount}/${report.totalRows} rows accepted` +
+    (report.rejectedCount > 0 ? ` - ${report.rejectedCount} rejected (${reasons})` : '') +
+    (report.duplicateCount > 0 ? ` - ${report.duplicateCount} duplicates skipped` : '');
+}
+
+module.exports = {
+  REASONS,
+  createImportReport,
+  recordAccepted,
+  recordRejected,
+  recordDuplicate,
+  mergeReports,
+  summarize
+};
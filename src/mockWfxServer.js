@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+const chalk = require('chalk');
+const { program } = require('commander');
+const config = require('./config');
+
+/**
+ * Local mock of the WorkflowMax API, for working offline and in CI.
+ *
+ * Serves XML shaped like the real API for /time.api/list, /job.api/get/:id,
+ * /job.api/list and /staff.api/list, plus the OAuth authorize and token
+ * endpoints. Data comes from the fixture files in resources/mock-wfx. Point
+ * the app at it with WFX_BASE_URL, WFX_TOKEN_URL and WFX_AUTH_URL.
+ *
+ * Faults (401, 403, 429, 5xx, slow responses) can be set at start-up or
+ * changed while running through /mock/faults.
+ */
+
+const DEFAULT_PORT = 3099;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'resources', 'mock-wfx');
+const MAX_LOGGED_REQUESTS = 200;
+
+const NO_FAULTS = { status: null, count: null, path: null, retryAfter: null, delayMs: 0 };
+
+/**
+ * Load the fixture files
+ * @param {string} fixturesDir - Directory holding staff.json, jobs.json and times.json
+ * @returns {Object} { staff, jobs, times }
+ */
+function loadFixtures(fixturesDir = DEFAULT_FIXTURES_DIR) {
+  const read = (file, key) => {
+    const filePath = path.join(fixturesDir, file);
+    if (!fs.existsSync(filePath)) return [];
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))[key] || [];
+  };
+
+  return {
+    staff: read('staff.json', 'staff'),
+    jobs: read('jobs.json', 'jobs'),
+    times: read('times.json', 'times')
+  };
+}
+
+/**
+ * Minutes between two HH:mm times
+ */
+function minutesBetween(start, end) {
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const minutes = toMinutes(end) - toMinutes(start);
+  return minutes < 0 ? minutes + 24 * 60 : minutes;
+}
+
+/**
+ * Normalise a from/to parameter (YYYYMMDD or YYYY-MM-DD) to YYYY-MM-DD
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const digits = String(value).replace(/-/g, '').substring(0, 8);
+  return /^\d{8}$/.test(digits) ? `${digits.substring(0, 4)}-${digits.substring(4, 6)}-${digits.substring(6, 8)}` : null;
+}
+
+/**
+ * Expand a time fixture into a WFX <Time> element
+ * @param {Object} time - Fixture entry (Staff, Job and Task are ids)
+ * @param {Object} fixtures - All fixtures, to look the ids up
+ * @returns {Object} Time element
+ */
+function buildTime(time, fixtures) {
+  const staff = fixtures.staff.find(member => member.UUID === time.Staff) || { UUID: time.Staff };
+  const job = fixtures.jobs.find(candidate => candidate.ID === time.Job) || { ID: time.Job };
+  const task = (job.Tasks || []).find(candidate => candidate.ID === time.Task) || { ID: time.Task, Name: time.Task };
+
+  const element = {
+    UUID: time.UUID,
+    Job: { ID: job.ID, Name: job.Name || '' },
+    Task: { ID: task.ID, Name: task.Name || '' },
+    Staff: { UUID: staff.UUID, Name: staff.Name || '' },
+    Date: `${time.Date}T00:00:00`,
+    Minutes: time.Minutes !== undefined ? time.Minutes : minutesBetween(time.Start, time.End),
+    Note: time.Note || '',
+    Billable: time.Billable !== false
+  };
+  if (time.Start) element.Start = `${time.Date}T${time.Start}:00`;
+  if (time.End) element.End = `${time.Date}T${time.End}:00`;
+  return element;
+}
+
+/**
+ * Expand a job fixture into a WFX <Job> element
+ */
+function buildJob(job) {
+  const { Tasks, ...fields } = job;
+  return { ...fields, Tasks: { Task: Tasks || [] } };
+}
+
+/**
+ * Render a WFX XML response
+ * @param {string} method - api-method attribute (List, Get)
+ * @param {Object} body - Elements after <Status>
+ * @returns {string} XML
+ */
+function renderXml(method, body) {
+  const builder = new xml2js.Builder({ xmldec: { version: '1.0', encoding: 'utf-8' } });
+  return builder.buildObject({ Response: { $: { 'api-method': method }, Status: 'OK', ...body } });
+}
+
+/**
+ * Render a WFX application-level error (HTTP 200, <Status>ERROR</Status>)
+ */
+function renderXmlError(description) {
+  const builder = new xml2js.Builder({ xmldec: { version: '1.0', encoding: 'utf-8' } });
+  return builder.buildObject({ Response: { Status: 'ERROR', ErrorDescription: description } });
+}
+
+/**
+ * Send the HTTP error a fault asks for, the way the real service words it
+ */
+function sendFault(res, faults) {
+  const status = faults.status;
+
+  if (status === 401) {
+    res.status(401).json({ Type: null, Title: 'Unauthorized', Status: 401, Detail: 'AuthenticationUnsuccessful' });
+  } else if (status === 403) {
+    res.status(403).json({ Type: null, Title: 'Forbidden', Status: 403, Detail: 'AuthorizationUnsuccessful' });
+  } else if (status === 429) {
+    if (faults.retryAfter !== null) res.set('Retry-After', String(faults.retryAfter));
+    res.set('X-Rate-Limit-Problem', 'minute');
+    res.status(429).json({ Title: 'Too Many Requests', Status: 429, Detail: 'Rate limit exceeded' });
+  } else {
+    if (status === 503 && faults.retryAfter !== null) res.set('Retry-After', String(faults.retryAfter));
+    res.status(status).type('text/plain').send(`Mock WFX server error ${status}`);
+  }
+}
+
+/**
+ * Create the mock server app
+ * @param {Object} options - Options
+ * @param {string} options.fixturesDir - Fixture directory (default resources/mock-wfx)
+ * @param {Object} options.faults - Initial faults: { status, count, path, retryAfter, delayMs }
+ * @returns {Object} Express app; app.locals holds fixtures, faults and the request log
+ */
+function createMockServer(options = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.locals.fixtures = loadFixtures(options.fixturesDir);
+  app.locals.faults = { ...NO_FAULTS, ...(options.faults || {}) };
+  app.locals.requests = [];
+
+  // Control endpoints - never faulted or delayed
+  app.get('/mock/faults', (req, res) => res.json(app.locals.faults));
+
+  app.post('/mock/faults', (req, res) => {
+    app.locals.faults = { ...NO_FAULTS, ...req.body };
+    res.json(app.locals.faults);
+  });
+
+  app.delete('/mock/faults', (req, res) => {
+    app.locals.faults = { ...NO_FAULTS };
+    res.json(app.locals.faults);
+  });
+
+  app.get('/mock/requests', (req, res) => res.json(app.locals.requests));
+
+  app.delete('/mock/requests', (req, res) => {
+    app.locals.requests = [];
+    res.json({ cleared: true });
+  });
+
+  // Log, delay and fault everything else
+  app.use((req, res, next) => {
+    const faults = app.locals.faults;
+    const entry = { at: new Date().toISOString(), method: req.method, path: req.path, query: req.query, status: null };
+    app.locals.requests.push(entry);
+    if (app.locals.requests.length > MAX_LOGGED_REQUESTS) app.locals.requests.shift();
+    res.on('finish', () => {
+      entry.status = res.statusCode;
+    });
+
+    const faulted = faults.status && (!faults.path || req.path.startsWith(faults.path)) && faults.count !== 0;
+    setTimeout(() => {
+      if (!faulted) return next();
+      if (faults.count) faults.count--;
+      sendFault(res, faults);
+    }, faults.delayMs || 0);
+  });
+
+  // OAuth: approve straight away and send the browser back with a code
+  app.get('/connect/authorize', (req, res) => {
+    if (!req.query.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri is required' });
+    }
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set('code', `mock-code-${crypto.randomBytes(8).toString('hex')}`);
+    if (req.query.state) redirect.searchParams.set('state', req.query.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/connect/token', (req, res) => {
+    const grantType = req.body.grant_type;
+    if (!['authorization_code', 'refresh_token', 'client_credentials'].includes(grantType)) {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    if (grantType === 'authorization_code' && !req.body.code) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (grantType === 'refresh_token' && !req.body.refresh_token) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = `mock-access-${crypto.randomBytes(16).toString('hex')}`;
+    res.json({
+      access_token: accessToken,
+      refresh_token: `mock-refresh-${crypto.randomBytes(16).toString('hex')}`,
+      expires_in: 1800,
+      token_type: 'Bearer',
+      scope: req.body.scope || 'openid profile email workflowmax offline_access'
+    });
+  });
+
+  // API endpoints need a bearer token (any, so saved tokens survive restarts)
+  const api = express.Router();
+  api.use((req, res, next) => {
+    if (!/^Bearer \S+/.test(req.get('authorization') || '')) {
+      return res.status(401).json({ Title: 'Unauthorized', Status: 401, Detail: 'No bearer token' });
+    }
+    res.type('application/xml');
+    next();
+  });
+
+  api.get('/time.api/list', (req, res) => {
+    const from = toIsoDate(req.query.from);
+    const to = toIsoDate(req.query.to);
+    if (!from || !to) return res.send(renderXmlError('from and to are required (YYYYMMDD)'));
+
+    const matching = app.locals.fixtures.times
+      .filter(time => time.Date >= from && time.Date <= to)
+      .sort((a, b) => `${a.Date}${a.Start || ''}`.localeCompare(`${b.Date}${b.Start || ''}`));
+
+    // Paged only when asked, like the real list
+    let page = matching;
+    if (req.query.page) {
+      const pageSize = parseInt(req.query.pageSize, 10) || 100;
+      const offset = (parseInt(req.query.page, 10) - 1) * pageSize;
+      page = matching.slice(offset, offset + pageSize);
+    }
+
+    const times = page.map(time => buildTime(time, app.locals.fixtures));
+    res.send(renderXml('List', { Times: times.length > 0 ? { Time: times } : '' }));
+  });
+
+  api.get('/job.api/get/:id', (req, res) => {
+    const job = app.locals.fixtures.jobs.find(candidate => candidate.ID === req.params.id);
+    if (!job) return res.send(renderXmlError(`Job ${req.params.id} not found`));
+    res.send(renderXml('Get', { Job: buildJob(job) }));
+  });
+
+  api.get('/job.api/list', (req, res) => {
+    const jobs = app.locals.fixtures.jobs.map(buildJob);
+    res.send(renderXml('List', { Jobs: jobs.length > 0 ? { Job: jobs } : '' }));
+  });
+
+  api.get('/staff.api/list', (req, res) => {
+    const staff = app.locals.fixtures.staff;
+    res.send(renderXml('List', { StaffList: staff.length > 0 ? { Staff: staff } : '' }));
+  });
+
+  app.use(api);
+
+  app.use((req, res) => {
+    res.status(404).type('text/plain').send(`Mock WFX server has no ${req.method} ${req.path}`);
+  });
+
+  return app;
+}
+
+/**
+ * Write a token file the app will load, so API calls work without `npm run auth`
+ * @param {string} tokenPath - Token file to write
+ */
+function writeMockTokens(tokenPath) {
+  if (fs.existsSync(tokenPath)) {
+    const existing = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    if (existing.access_token && !String(existing.access_token).startsWith('mock-')) {
+      throw new Error(`${tokenPath} holds real WorkflowMax tokens - set TOKEN_STORAGE_PATH to another file`);
+    }
+  }
+
+  fs.mkdirSync(path.dirname(tokenPath), { recursive: true });
+  fs.writeFileSync(tokenPath, JSON.stringify({
+    access_token: `mock-access-${crypto.randomBytes(16).toString('hex')}`,
+    refresh_token: `mock-refresh-${crypto.randomBytes(16).toString('hex')}`,
+    expires_at: Date.now() + 12 * 60 * 60 * 1000,
+    saved_at: new Date().toISOString()
+  }, null, 2));
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options - createMockServer options, plus port
+ * @returns {Promise<Object>} HTTP server
+ */
+function startMockServer(options = {}) {
+  const port = options.port || DEFAULT_PORT;
+  const app = createMockServer(options);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      const base = `http://localhost:${server.address().port}`;
+      const { staff, jobs, times } = app.locals.fixtures;
+      console.log(chalk.bold.blue('\n🧪 Mock WorkflowMax server'));
+      console.log(chalk.gray('─'.repeat(40)));
+      console.log(chalk.green(`✅ Running at ${base}`));
+      console.log(chalk.gray(`   ${staff.length} staff, ${jobs.length} jobs, ${times.length} time entries`));
+      if (app.locals.faults.status || app.locals.faults.delayMs) {
+        console.log(chalk.yellow(`⚠️  Faults: ${JSON.stringify(app.locals.faults)}`));
+      }
+      console.log(chalk.gray('\nPoint the app at it with:'));
+      console.log(chalk.cyan(`  WFX_BASE_URL=${base}`));
+      console.log(chalk.cyan(`  WFX_TOKEN_URL=${base}/connect/token`));
+      console.log(chalk.cyan(`  WFX_AUTH_URL=${base}/connect/authorize`));
+      console.log(chalk.gray('\nChange faults with POST /mock/faults, clear them with DELETE /mock/faults'));
+      console.log(chalk.gray('Press Ctrl+C to stop the server'));
+      resolve(server);
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { createMockServer, startMockServer, loadFixtures, writeMockTokens };
+
+// Start server if run directly
+if (require.main === module) {
+  program
+    .name('mock-wfx')
+    .description('Local mock WorkflowMax server')
+    .option('-p, --port <port>', 'Port to listen on', value => parseInt(value, 10), parseInt(process.env.MOCK_WFX_PORT, 10) || DEFAULT_PORT)
+    .option('--fixtures <dir>', 'Fixture directory', DEFAULT_FIXTURES_DIR)
+    .option('--fail <status>', 'Answer with this HTTP status (401, 403, 429, 5xx)', value => parseInt(value, 10))
+    .option('--fail-count <n>', 'Only fail the next n requests', value => parseInt(value, 10))
+    .option('--fail-path <prefix>', 'Only fail requests under this path (e.g. /time.api)')
+    .option('--retry-after <seconds>', 'Retry-After header sent with 429 and 503', value => parseInt(value, 10))
+    .option('--delay <ms>', 'Delay every response', value => parseInt(value, 10))
+    .option('--write-tokens [file]', 'Write a mock token file the app will load (default TOKEN_STORAGE_PATH or data/wfx_tokens.json)')
+    .parse();
+
+  const options = program.opts();
+
+  if (options.writeTokens) {
+    const tokenPath = typeof options.writeTokens === 'string'
+      ? options.writeTokens
+      : process.env.TOKEN_STORAGE_PATH || path.join(config.directories.data, 'wfx_tokens.json');
+    try {
+      writeMockTokens(tokenPath);
+      console.log(chalk.green(`🔑 Mock tokens written to ${tokenPath}`));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  startMockServer({
+    port: options.port,
+    fixturesDir: options.fixtures,
+    faults: {
+      status: options.fail || null,
+      count: options.failCount !== undefined ? options.failCount : null,
+      path: options.failPath || null,
+      retryAfter: options.retryAfter !== undefined ? options.retryAfter : null,
+      delayMs: options.delay || 0
+    }
+  }).catch(error => {
+    console.error(chalk.red(`❌ Could not start mock server: ${error.message}`));
+    process.exit(1);
+  });
+}
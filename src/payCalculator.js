@@ -0,0 +1,117 @@
+const moment = require('moment');
+const config = require('./config');
+const calendar = require('./calendar');
+
+/**
+ * Award-aware pay calculation.
+ *
+ * Prices hours with config.payRules (ordinary hours, overtime tiers, weekend
+ * and public-holiday multipliers, travel allowance) so an hours discrepancy
+ * can be shown as dollars. A staff member's own `payRules` override the
+ * defaults field by field.
+ */
+
+/**
+ * Get the pay rules for a staff member: config.payRules with their own
+ * `payRules` laid over it
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {Object} Pay rules
+ */
+function getPayRules(staffConfig = {}) {
+  const personal = staffConfig.payRules || {};
+  return {
+    ...config.payRules,
+    ...personal,
+    travelAllowance: { ...config.payRules.travelAllowance, ...(personal.travelAllowance || {}) }
+  };
+}
+
+/**
+ * Work out which rate applies to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} rules - Pay rules
+ * @returns {Object} { dayType: weekday|saturday|sunday|public_holiday, multiplier }
+ */
+function getDayType(date, rules) {
+  if ((rules.publicHolidays || []).includes(date) || calendar.isPublicHoliday(date)) {
+    return { dayType: 'public_holiday', multiplier: rules.publicHolidayMultiplier };
+  }
+
+  const weekday = moment(date, 'YYYY-MM-DD').isoWeekday();
+  if (weekday === 6) return { dayType: 'saturday', multiplier: rules.saturdayMultiplier };
+  if (weekday === 7) return { dayType: 'sunday', multiplier: rules.sundayMultiplier };
+  return { dayType: 'weekday', multiplier: 1 };
+}
+
+/**
+ * Price a number of hours worked on one day
+ * @param {number} hours - Hours worked
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} hourlyRate - Ordinary hourly rate
+ * @param {Object} rules - Pay rules
+ * @returns {number} Dollars
+ */
+function priceHours(hours, date, hourlyRate, rules) {
+  if (!hours || hours <= 0 || !hourlyRate) return 0;
+
+  const { dayType, multiplier } = getDayType(date, rules);
+  if (dayType !== 'weekday') {
+    return hours * hourlyRate * multiplier;
+  }
+
+  // Ordinary hours, then each overtime tier up to the next one
+  const tiers = [{ afterHours: 0, multiplier: 1 }, ...(rules.overtime || [])]
+    .sort((a, b) => a.afterHours - b.afterHours);
+
+  return tiers.reduce((total, tier, index) => {
+    const next = tiers[index + 1];
+    const tierHours = Math.min(hours, next ? next.afterHours : Infinity) - tier.afterHours;
+    return tierHours > 0 ? total + tierHours * hourlyRate * tier.multiplier : total;
+  }, 0);
+}
+
+/**
+ * Travel allowance for a day's work kilometres
+ * @param {number} workKm - Kilometres driven for work
+ * @param {Object} rules - Pay rules
+ * @returns {number} Dollars
+ */
+function travelAllowance(workKm, rules) {
+  const { perKm, perDay, maxKmPerDay } = rules.travelAllowance;
+  if (!workKm) return 0;
+
+  const km = maxKmPerDay ? Math.min(workKm, maxKmPerDay) : workKm;
+  return km * (perKm || 0) + (perDay || 0);
+}
+
+/**
+ * Price a day's tracked and recorded hours and the value of the difference.
+ * Under-recorded time is tracked time missing from WFX (the business owes
+ * it or is under-billing it); over-recorded time is WFX time the trip data
+ * doesn't support.
+ * @param {Object} day - { date, csvHours, wfxHours, hourlyRate, workKm }
+ * @param {Object} rules - Pay rules from getPayRules
+ * @returns {Object} { dayType, hourlyRate, csvPay, wfxPay, underRecordedValue, overRecordedValue, travelAllowance }
+ */
+function priceDay(day, rules) {
+  const csvPay = priceHours(day.csvHours, day.date, day.hourlyRate, rules);
+  const wfxPay = priceHours(day.wfxHours, day.date, day.hourlyRate, rules);
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    dayType: getDayType(day.date, rules).dayType,
+    hourlyRate: day.hourlyRate || 0,
+    csvPay: round(csvPay),
+    wfxPay: round(wfxPay),
+    underRecordedValue: round(Math.max(0, csvPay - wfxPay)),
+    overRecordedValue: round(Math.max(0, wfxPay - csvPay)),
+    travelAllowance: round(travelAllowance(day.workKm, rules))
+  };
+}
+
+module.exports = {
+  getPayRules,
+  getDayType,
+  priceHours,
+  priceDay
+};
@@ -0,0 +1,122 @@
+const config = require('./config');
+const geofences = require('./geofences');
+const addressParser = require('./addressParser');
+const { haversineKm } = require('./geo');
+
+/**
+ * Known-places registry.
+ *
+ * Depots, suppliers, fuel stations and lunch spots are visited every day but
+ * never appear in WFX. config.places names them with a category and a match
+ * radius so trips there are classified as what they are instead of as
+ * unexplained work trips:
+ *
+ *   places: {
+ *     'Bunnings Bankstown': { category: 'supplier', address: '...', lat: -33.92, lon: 151.03, radiusMetres: 250 },
+ *     'Depot': { category: 'depot', geofence: 'Depot' },
+ *     'Westfield Burwood': { category: 'client_site', address: '...', wfxClient: 'Scentre Group' }
+ *   }
+ *
+ * Geofences mapped to one of these categories under config.geofences count too.
+ */
+
+const PLACE_CATEGORIES = ['depot', 'supplier', 'fuel', 'lunch', 'client_site'];
+
+/**
+ * Get all configured places
+ * @returns {Array} [{ name, category, address, geofence, lat, lon, radiusMetres, wfxClient, wfxJobIds }]
+ */
+function getPlaces() {
+  return Object.entries(config.places)
+    .filter(([, place]) => PLACE_CATEGORIES.includes(place.category))
+    .map(([name, place]) => ({ name, ...place }));
+}
+
+/**
+ * Locate a place: configured coordinates win over geocoding its address
+ */
+function locatePlace(place, geocoder) {
+  if (Number.isFinite(place.lat) && Number.isFinite(place.lon)) {
+    return { lat: place.lat, lon: place.lon, uncertaintyKm: 0 };
+  }
+  return geocoder && place.address ? geocoder.geocode(place.address) : null;
+}
+
+/**
+ * Find the known place a stop is at
+ * @param {Object} stop - { address, geofence }
+ * @param {Object} options - Options
+ * @param {Object} options.geocoder - Geocoder for radius checks (optional)
+ * @returns {Object|null} { name, category, matchedBy, distanceMetres, wfxClient, wfxJobIds } or null
+ */
+function findPlace(stop, options = {}) {
+  const { address, geofence } = stop;
+  const places = getPlaces();
+
+  if (geofence) {
+    const key = geofence.trim().toLowerCase();
+    const named = places.find(place => (place.geofence || place.name).trim().toLowerCase() === key);
+    if (named) return { ...named, matchedBy: 'geofence', distanceMetres: null };
+
+    const mapped = geofences.getGeofence(geofence);
+    if (mapped && PLACE_CATEGORIES.includes(mapped.category)) {
+      return { ...mapped, matchedBy: 'geofence', distanceMetres: null };
+    }
+  }
+
+  if (!address) return null;
+
+  const sameSite = places.find(place => place.address && addressParser.compareAddresses(address, place.address).sameSite);
+  if (sameSite) return { ...sameSite, matchedBy: 'address', distanceMetres: null };
+
+  const stopPoint = options.geocoder ? options.geocoder.geocode(address) : null;
+  if (!stopPoint) return null;
+
+  // Nearest place whose radius the stop is within; centroids too rough for the radius don't count
+  let nearest = null;
+  places.forEach(place => {
+    const point = locatePlace(place, options.geocoder);
+    if (!point) return;
+
+    const radiusKm = (place.radiusMetres || config.processing.places.radiusMetres) / 1000;
+    if (point.uncertaintyKm + stopPoint.uncertaintyKm > radiusKm) return;
+
+    const distanceKm = haversineKm(stopPoint, point);
+    if (distanceKm <= radiusKm && (!nearest || distanceKm < nearest.distanceKm)) {
+      nearest = { place, distanceKm };
+    }
+  });
+
+  return nearest
+    ? { ...nearest.place, matchedBy: 'radius', distanceMetres: Math.round(nearest.distanceKm * 1000) }
+    : null;
+}
+
+/**
+ * Score how well a known place identifies a WFX job's site
+ * @param {Object} place - Result of findPlace
+ * @param {Object} jobDetails - Job details ({ id, name, client })
+ * @returns {number|null} Score 0-1, or null if the place says nothing about this job
+ */
+function scorePlaceForJob(place, jobDetails) {
+  if (!place || !jobDetails) return null;
+
+  if (place.wfxJobIds && place.wfxJobIds.map(String).includes(String(jobDetails.id))) {
+    return 1.0;
+  }
+  if (place.wfxClient && String(place.wfxClient).toLowerCase() === String(jobDetails.client || '').toLowerCase()) {
+    return 0.9;
+  }
+  // Depots, suppliers and other clients' sites aren't this job's site
+  if (place.category !== 'client_site' || place.wfxJobIds || place.wfxClient) {
+    return 0;
+  }
+  return null;
+}
+
+module.exports = {
+  PLACE_CATEGORIES,
+  getPlaces,
+  findPlace,
+  scorePlaceForJob
+};
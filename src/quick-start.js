@@ -8,6 +8,7 @@ const { promisify } = require('util');
 const execAsync = promisify(exec);
 
 const config = require('./config');
+const tripIngestion = require('./tripIngestion');
 
 // Check if all required dependencies are installed
 async function checkDependencies() {
@@ -112,7 +113,7 @@ async function checkCSVFiles() {
   
   try {
     const files = await fs.readdir(config.directories.csvInput);
-    const csvFiles = files.filter(f => f.endsWith('.csv'));
+    const csvFiles = files.filter(tripIngestion.isSupportedFile);
     
     if (csvFiles.length === 0) {
       console.log(chalk.yellow('⚠️  No CSV files found in csv_files/'));
@@ -122,7 +123,7 @@ async function checkCSVFiles() {
     
     console.log(chalk.green(`✅ Found ${csvFiles.length} CSV files:`));
     csvFiles.forEach(file => {
-      const staffId = file.replace('.csv', '');
+      const staffId = path.basename(file, path.extname(file));
       const isConfigured = config.staff[staffId];
       console.log(chalk.gray(`  • ${file} ${isConfigured ? '✓' : '(no staff config)'}`));
     });
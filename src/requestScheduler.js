@@ -0,0 +1,183 @@
+const config = require('./config');
+
+/**
+ * Request scheduler for the WFX API.
+ *
+ * Every API call goes through one queue that:
+ *   - runs at most performance.maxConcurrentRequests at a time
+ *   - starts at most performance.requestsPerMinute in any rolling minute
+ *   - retries 429s, 5xx responses and dropped connections with jittered
+ *     exponential backoff, up to performance.maxRetries times
+ *   - on 429 (or 503) with Retry-After, holds the whole queue until then,
+ *     since the limit applies to the account rather than to one request
+ */
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Request error (axios)
+ * @returns {boolean} True for rate limits, server errors and dropped connections
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  return status === 429 || status >= 500 || RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Read a Retry-After header (seconds or an HTTP date)
+ * @param {Error} error - Request error (axios)
+ * @returns {number|null} Milliseconds to wait, or null without a usable header
+ */
+function getRetryAfterMs(error) {
+  const headers = error.response?.headers || {};
+  const value = headers['retry-after'] || headers['Retry-After'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+class RequestScheduler {
+  /**
+   * @param {Object} options - Overrides for the configured settings
+   */
+  constructor(options = {}) {
+    const performance = config.performance;
+    this.settings = {
+      maxConcurrent: performance.maxConcurrentRequests,
+      requestsPerMinute: performance.requestsPerMinute,
+      maxRetries: performance.maxRetries,
+      baseDelayMs: performance.retryBaseDelayMs,
+      maxDelayMs: performance.retryMaxDelayMs,
+      ...options
+    };
+    this.queue = [];
+    this.active = 0;
+    this.startTimes = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.stats = { completed: 0, failed: 0, retried: 0, rateLimited: 0 };
+  }
+
+  /**
+   * Run a request through the queue
+   * @param {Function} task - Starts the request and returns a promise
+   * @param {string} label - Description for retry messages
+   * @returns {Promise} Resolves or rejects with the request's final outcome
+   */
+  schedule(task, label = 'request') {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, label, attempt: 0, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Start as many queued requests as the limits allow
+   */
+  drain() {
+    while (this.queue.length > 0 && this.active < this.settings.maxConcurrent) {
+      const now = Date.now();
+      const waitMs = this.getWaitMs(now);
+      if (waitMs > 0) {
+        this.wakeAfter(waitMs);
+        return;
+      }
+
+      const job = this.queue.shift();
+      this.active++;
+      this.startTimes.push(now);
+      this.run(job);
+    }
+  }
+
+  /**
+   * How long until another request may start
+   */
+  getWaitMs(now) {
+    if (this.pausedUntil > now) return this.pausedUntil - now;
+
+    // Rolling one-minute budget
+    this.startTimes = this.startTimes.filter(time => now - time < 60000);
+    if (this.startTimes.length >= this.settings.requestsPerMinute) {
+      return this.startTimes[0] + 60000 - now;
+    }
+    return 0;
+  }
+
+  /**
+   * Try draining again once a wait is over
+   */
+  wakeAfter(waitMs) {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, waitMs);
+  }
+
+  /**
+   * Run one request and settle, retry or give up
+   */
+  async run(job) {
+    try {
+      const result = await job.task();
+      this.stats.completed++;
+      job.resolve(result);
+    } catch (error) {
+      if (job.attempt < this.settings.maxRetries && isRetryable(error)) {
+        this.retry(job, error);
+      } else {
+        this.stats.failed++;
+        job.reject(error);
+      }
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Queue a failed request again after its backoff
+   */
+  retry(job, error) {
+    const status = error.response?.status;
+    const retryAfterMs = getRetryAfterMs(error);
+    job.attempt++;
+    this.stats.retried++;
+
+    let delayMs;
+    if (retryAfterMs !== null && (status === 429 || status === 503)) {
+      // The server said when - hold everything until then
+      delayMs = retryAfterMs;
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+    } else {
+      // Full jitter: anywhere up to the exponential ceiling
+      const ceiling = Math.min(this.settings.maxDelayMs, this.settings.baseDelayMs * 2 ** (job.attempt - 1));
+      delayMs = Math.round(Math.random() * ceiling);
+    }
+    if (status === 429) this.stats.rateLimited++;
+
+    const reason = status ? `HTTP ${status}` : error.code;
+    console.warn(`⚠️ ${job.label} failed (${reason}), retrying in ${(delayMs / 1000).toFixed(1)}s (${job.attempt}/${this.settings.maxRetries})...`);
+
+    setTimeout(() => {
+      this.queue.unshift(job);
+      this.drain();
+    }, delayMs);
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} { active, queued, completed, failed, retried, rateLimited }
+   */
+  getStats() {
+    return { active: this.active, queued: this.queue.length, ...this.stats };
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,210 @@
+const moment = require('moment');
+const config = require('./config');
+const { timeToMinutes } = require('./csvParser');
+
+/**
+ * Staff rosters.
+ *
+ * A roster is a weekly pattern of shifts, named under config.rosters so a
+ * team can share one, and picked per person with `roster` (a name or an
+ * inline roster):
+ *
+ *   rosters: {
+ *     'field-standard': { weekly: { mon: '07:00-15:30', tue: '07:00-15:30', ... } },
+ *     'part-time-mwf': { weekly: { mon: '08:00-14:00', wed: '08:00-14:00', fri: '08:00-14:00' } },
+ *     'split-shift': { weekly: { mon: ['06:00-10:00', '15:00-19:00'], ... } },
+ *     'on-call-rotation': {
+ *       cycleStart: '2025-05-05',                         // a Monday
+ *       weeks: [{ mon: '07:00-15:30', ... }, { mon: '07:00-15:30', ..., onCall: true }]
+ *     }
+ *   }
+ *
+ * `weeks` repeat in turn from cycleStart (fortnightly patterns, on-call
+ * weeks). In an on-call week, work outside the rostered shifts is expected.
+ * Shifts ending before they start run past midnight. Staff without a roster
+ * get processing.workingHours on their working days, which only decides
+ * whether a day is rostered at all.
+ */
+
+const DAY_KEYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Roster for a staff member without one: the standard working hours on their working days
+ */
+function getDefaultRoster(staffConfig) {
+  const { start, end } = config.processing.workingHours;
+  const workingDays = staffConfig.workingDays || config.calendar.workingDays;
+  const weekly = {};
+  workingDays.forEach(isoWeekday => {
+    weekly[DAY_KEYS[isoWeekday - 1]] = `${start}-${end}`;
+  });
+  return { name: 'standard hours', weekly };
+}
+
+/**
+ * Check whether a staff member has a roster of their own
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {boolean} True if `roster` is set
+ */
+function hasRoster(staffConfig = {}) {
+  return Boolean(staffConfig.roster);
+}
+
+/**
+ * Get the roster that applies to a staff member
+ * @param {Object} staffConfig - Staff configuration (as resolved for the day)
+ * @returns {Object} { name, weeks, cycleStart }
+ */
+function getRoster(staffConfig = {}) {
+  let roster = staffConfig.roster;
+  let name = 'custom';
+  if (typeof roster === 'string') {
+    name = roster;
+    roster = config.rosters[roster];
+  }
+  if (!roster) {
+    roster = getDefaultRoster(staffConfig);
+    name = roster.name;
+  }
+
+  return {
+    name: roster.name || name,
+    weeks: roster.weeks || [roster.weekly || {}],
+    cycleStart: roster.cycleStart || null
+  };
+}
+
+/**
+ * Parse a shift ("07:00-15:30" or { start, end }) into minutes into the shift day
+ */
+function parseShift(shift) {
+  const [start, end] = typeof shift === 'string'
+    ? shift.split('-').map(part => part.trim())
+    : [shift.start, shift.end];
+  const startMinutes = timeToMinutes(start);
+  let endMinutes = timeToMinutes(end);
+  // Overnight shift
+  if (endMinutes <= startMinutes) endMinutes += 1440;
+
+  return { start, end, startMinutes, endMinutes };
+}
+
+/**
+ * Get the shifts rostered on a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} staffConfig - Staff configuration (as resolved for the day)
+ * @returns {Object} { roster, shifts, onCall, rosteredMinutes, text }
+ */
+function getRosteredShifts(date, staffConfig = {}) {
+  const roster = getRoster(staffConfig);
+  const day = moment(date, 'YYYY-MM-DD');
+
+  let weekIndex = 0;
+  if (roster.weeks.length > 1 && roster.cycleStart) {
+    const weeks = Math.floor(day.diff(moment(roster.cycleStart, 'YYYY-MM-DD'), 'days') / 7);
+    weekIndex = ((weeks % roster.weeks.length) + roster.weeks.length) % roster.weeks.length;
+  }
+  const week = roster.weeks[weekIndex] || {};
+
+  const entry = week[DAY_KEYS[day.isoWeekday() - 1]];
+  const shifts = (Array.isArray(entry) ? entry : (entry ? [entry] : []))
+    .map(parseShift)
+    .sort((a, b) => a.startMinutes - b.startMinutes);
+
+  const text = shifts.length > 0
+    ? shifts.map(shift => `${shift.start}-${shift.end}`).join(', ')
+    : 'Off';
+
+  return {
+    roster: roster.name,
+    shifts,
+    onCall: Boolean(week.onCall),
+    rosteredMinutes: shifts.reduce((total, shift) => total + shift.endMinutes - shift.startMinutes, 0),
+    text: week.onCall ? `${text} (on call)` : text
+  };
+}
+
+/**
+ * Compare a day's actual shift with the roster
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} staffConfig - Staff configuration (as resolved for the day)
+ * @param {Object} actual - { startMinutes, finishMinutes } from the trip data (minutes into the shift day)
+ * @returns {Object} { roster, text, onCall, rosteredHours, unrostered, lateStartMinutes, earlyFinishMinutes }
+ */
+function checkDay(date, staffConfig, actual) {
+  const rostered = getRosteredShifts(date, staffConfig);
+  const { lateStartMinutes, earlyFinishMinutes } = config.processing.rosterTolerance;
+  const result = {
+    roster: rostered.roster,
+    text: rostered.text,
+    onCall: rostered.onCall,
+    rosteredHours: Math.round(rostered.rosteredMinutes / 6) / 10,
+    unrostered: false,
+    lateStartMinutes: 0,
+    earlyFinishMinutes: 0
+  };
+
+  if (!actual || actual.startMinutes === undefined) return result;
+
+  if (rostered.shifts.length === 0) {
+    result.unrostered = !rostered.onCall;
+    return result;
+  }
+
+  const first = rostered.shifts[0];
+  const last = rostered.shifts[rostered.shifts.length - 1];
+  const late = actual.startMinutes - first.startMinutes;
+  const early = last.endMinutes - actual.finishMinutes;
+
+  // Starting late or finishing early is expected on call - you go when called.
+  // The standard-hours window isn't anyone's shift, so only real rosters count
+  if (!rostered.onCall && hasRoster(staffConfig)) {
+    if (late > lateStartMinutes) result.lateStartMinutes = Math.round(late);
+    if (early > earlyFinishMinutes) result.earlyFinishMinutes = Math.round(early);
+  }
+
+  return result;
+}
+
+/**
+ * Check a staff member's roster for mistakes
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateRoster(staffConfig) {
+  if (!staffConfig.roster) return [];
+  if (typeof staffConfig.roster === 'string' && !config.rosters[staffConfig.roster]) {
+    return [`roster "${staffConfig.roster}" is not defined`];
+  }
+
+  const problems = [];
+  const roster = getRoster(staffConfig);
+  if (roster.weeks.length > 1 && !roster.cycleStart) {
+    problems.push(`roster "${roster.name}": a multi-week roster needs a cycleStart date`);
+  }
+  roster.weeks.forEach((week, index) => {
+    Object.entries(week).forEach(([key, entry]) => {
+      if (key === 'onCall') return;
+      if (!DAY_KEYS.includes(key)) {
+        problems.push(`roster "${roster.name}" week ${index + 1}: unknown day "${key}"`);
+        return;
+      }
+      (Array.isArray(entry) ? entry : [entry]).forEach(shift => {
+        const { start, end } = typeof shift === 'string' ? parseShift(shift) : (shift || {});
+        if (!/^\d{1,2}:\d{2}$/.test(start || '') || !/^\d{1,2}:\d{2}$/.test(end || '')) {
+          problems.push(`roster "${roster.name}" week ${index + 1} ${key}: shifts must look like "07:00-15:30"`);
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+module.exports = {
+  hasRoster,
+  getRoster,
+  getRosteredShifts,
+  checkDay,
+  validateRoster
+};
@@ -0,0 +1,101 @@
+const config = require('./config');
+const geofences = require('./geofences');
+const timezone = require('./timezone');
+const { timeToMinutes } = require('./csvParser');
+
+/**
+ * Site-visit reconstruction.
+ *
+ * A driving trip is travel; the work happens while the vehicle is parked at
+ * a site between arriving on one trip and leaving on the next. These helpers
+ * turn a shift's trip stream into visits (arrival, departure, dwell and
+ * address) so WFX job entries can be matched against time on site.
+ */
+
+/**
+ * Build the visits of one shift
+ * @param {Array} trips - The shift's trips (normalized, with shift minutes set by groupTripsByDate)
+ * @param {Object} options - Options
+ * @param {Function} options.isHome - (address, geofence) => boolean or a homeDetection
+ *                                    result ({ isHome, reason }), marks visits at home
+ * @param {number} options.minDwellMinutes - Shorter stops are not visits (defaults to config)
+ * @returns {Array} Visits in arrival order
+ */
+function buildVisits(trips, options = {}) {
+  const { minDwellMinutes } = { ...config.processing.visits, ...options };
+  const isHome = options.isHome || (() => false);
+
+  const sorted = [...trips].sort((a, b) => {
+    if (a.startedAt && b.startedAt) return new Date(a.startedAt) - new Date(b.startedAt);
+    return (a.shiftStartMinutes || 0) - (b.shiftStartMinutes || 0);
+  });
+
+  const visits = [];
+  sorted.forEach((arrival, index) => {
+    const departure = sorted[index + 1] || null;
+    const parkingMinutes = Math.round(timeToMinutes(arrival['Parking Time']));
+
+    const arrivalMinutes = arrival.shiftFinishMinutes !== undefined
+      ? arrival.shiftFinishMinutes
+      : timeToMinutes(arrival['Finish, time']);
+
+    // Dwell runs until the next trip leaves; after the shift's last trip only
+    // the reported parking time is known
+    let dwellMinutes;
+    if (departure && arrival.finishedAt && departure.startedAt) {
+      dwellMinutes = Math.round((new Date(departure.startedAt) - new Date(arrival.finishedAt)) / 60000);
+    } else if (departure) {
+      dwellMinutes = (departure.shiftStartMinutes || 0) - arrivalMinutes;
+    } else {
+      // Not past the end of the shift (next day's work day boundary)
+      const shiftEndMinutes = 24 * 60 + timezone.getWorkDayBoundaryMinutes();
+      dwellMinutes = Math.max(0, Math.min(parkingMinutes, shiftEndMinutes - arrivalMinutes));
+    }
+
+    if (dwellMinutes < minDwellMinutes) return;
+
+    const address = arrival['Address to'] || '';
+    const geofence = arrival['Geofence to'] || '';
+    const home = isHome(address, geofence);
+    const atHome = typeof home === 'object' && home !== null ? home.isHome : Boolean(home);
+
+    visits.push({
+      address,
+      geofence,
+      site: geofences.getTripSite(arrival, 'to'),
+      arrivedAt: arrival.finishedAt || null,
+      departedAt: departure ? departure.startedAt || null : null,
+      arrivalTime: arrival['Finish, time'],
+      departureTime: departure ? departure['Started, time'] : null,
+      arrivalMinutes,
+      departureMinutes: arrivalMinutes + dwellMinutes,
+      dwellMinutes,
+      parkingMinutes,
+      departureEstimated: !departure,
+      isHome: atHome,
+      homeReason: atHome && home.reason ? home.reason : null,
+      place: arrival.place || null,
+      plate: arrival['Number Plate'],
+      arrivalTripRow: arrival.sourceRow || null,
+      departureTripRow: departure ? departure.sourceRow || null : null
+    });
+  });
+
+  return visits;
+}
+
+/**
+ * Total minutes spent on site at work (non-home) visits
+ * @param {Array} visits - Visits from buildVisits
+ * @returns {number} Minutes
+ */
+function totalSiteMinutes(visits) {
+  return visits
+    .filter(visit => !visit.isHome)
+    .reduce((total, visit) => total + visit.dwellMinutes, 0);
+}
+
+module.exports = {
+  buildVisits,
+  totalSiteMinutes
+};
@@ -0,0 +1,97 @@
+/**
+ * Date-effective staff assignments.
+ *
+ * Vans get swapped, people move house and rates change mid-year. Each staff
+ * member can carry an `assignments` history in config.js:
+ *
+ *   assignments: [
+ *     { from: '2025-01-01', to: '2025-06-30', vehicleId: 'ERG27B', homeAddress: '...', defaultHourlyRate: 45 },
+ *     { from: '2025-07-01', vehicleId: 'FLT09X', defaultHourlyRate: 48 }
+ *   ]
+ *
+ * `from` and `to` are inclusive YYYY-MM-DD dates; an open `to` runs until the
+ * next change. Fields an assignment leaves out fall back to the staff member's
+ * top-level values, which also apply on dates no assignment covers.
+ */
+
+// Fields an assignment may override
+const ASSIGNABLE_FIELDS = ['vehicleId', 'homeAddress', 'homeGeofence', 'homeLocations', 'defaultHourlyRate', 'roster'];
+
+/**
+ * Get a staff member's assignments in date order
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {Array} Assignments sorted by `from`
+ */
+function getAssignments(staffConfig) {
+  return [...(staffConfig.assignments || [])]
+    .sort((a, b) => (a.from || '').localeCompare(b.from || ''));
+}
+
+/**
+ * Find the assignment in effect on a date
+ * @param {Object} staffConfig - Staff configuration
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} Assignment, or null if none covers the date
+ */
+function findAssignment(staffConfig, date) {
+  if (!date) return null;
+
+  // Latest start wins when ranges overlap
+  const covering = getAssignments(staffConfig).filter(assignment =>
+    (!assignment.from || assignment.from <= date) && (!assignment.to || date <= assignment.to)
+  );
+  return covering.length > 0 ? covering[covering.length - 1] : null;
+}
+
+/**
+ * Resolve a staff configuration as it was on a given date
+ * @param {Object} staffConfig - Staff configuration
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} Staff configuration with the assignment's fields applied
+ */
+function resolveStaffConfig(staffConfig, date) {
+  const assignment = findAssignment(staffConfig, date);
+  if (!assignment) return staffConfig;
+
+  const resolved = { ...staffConfig, effectiveAssignment: { from: assignment.from || null, to: assignment.to || null } };
+  ASSIGNABLE_FIELDS.forEach(field => {
+    if (assignment[field] !== undefined) resolved[field] = assignment[field];
+  });
+  return resolved;
+}
+
+/**
+ * Check an assignment history for mistakes that would make it ambiguous
+ * @param {Object} staffConfig - Staff configuration
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateAssignments(staffConfig) {
+  const problems = [];
+  const assignments = getAssignments(staffConfig);
+
+  assignments.forEach((assignment, index) => {
+    if (assignment.from && !/^\d{4}-\d{2}-\d{2}$/.test(assignment.from)) {
+      problems.push(`assignment ${index + 1}: "from" must be YYYY-MM-DD`);
+    }
+    if (assignment.to && !/^\d{4}-\d{2}-\d{2}$/.test(assignment.to)) {
+      problems.push(`assignment ${index + 1}: "to" must be YYYY-MM-DD`);
+    }
+    if (assignment.from && assignment.to && assignment.to < assignment.from) {
+      problems.push(`assignment ${index + 1}: ends before it starts`);
+    }
+
+    const next = assignments[index + 1];
+    if (next && assignment.to && next.from && assignment.to >= next.from) {
+      problems.push(`assignments starting ${assignment.from} and ${next.from} overlap - the later one wins`);
+    }
+  });
+
+  return problems;
+}
+
+module.exports = {
+  getAssignments,
+  findAssignment,
+  resolveStaffConfig,
+  validateAssignments
+};
@@ -0,0 +1,207 @@
+const chalk = require('chalk');
+const config = require('./config');
+const timezone = require('./timezone');
+const wfxModels = require('./wfxModels');
+
+/**
+ * Chunked WorkflowMax time-entry fetching.
+ *
+ * `/time.api/list` returns every staff member's entries for the requested
+ * range, so a team audit used to download the whole range once per person.
+ * The fetcher splits the range into windows of performance.timeEntryWindowDays,
+ * pages through each window (`page` / `pageSize`), maps the entries to
+ * TimeEntry objects (src/wfxModels.js) and indexes them by staff and shift
+ * date. A range is fetched once per run and shared by every staff member
+ * compared in it. Shifts run past midnight (timezone work-day boundary), so
+ * the day after the range is fetched too and only shifts inside it are kept.
+ */
+
+/**
+ * Split a date range into windows
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD), inclusive
+ * @param {number} windowDays - Days per window
+ * @returns {Array} [{ from, to }] covering the range
+ */
+function splitRange(startDate, endDate, windowDays) {
+  const windows = [];
+  const cursor = new Date(`${startDate}T00:00:00.000Z`);
+  const last = new Date(`${endDate}T00:00:00.000Z`);
+
+  while (cursor <= last) {
+    const windowEnd = new Date(cursor);
+    windowEnd.setUTCDate(windowEnd.getUTCDate() + windowDays - 1);
+    const to = windowEnd < last ? windowEnd : last;
+    windows.push({ from: timezone.formatCalendarDate(cursor), to: timezone.formatCalendarDate(to) });
+    cursor.setTime(to.getTime());
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return windows;
+}
+
+class TimeEntryFetcher {
+  /**
+   * @param {Object} wfxClient - WFXApiClient instance
+   * @param {Object} options - Options
+   * @param {Function} options.getShiftDate - Maps a TimeEntry to its shift date (YYYY-MM-DD)
+   * @param {Function} options.onProgress - Called with { window, windows, from, to, page, entries, total }
+   */
+  constructor(wfxClient, options = {}) {
+    this.wfxClient = wfxClient;
+    this.getShiftDate = options.getShiftDate || (entry => entry.date);
+    this.onProgress = options.onProgress || null;
+    this.ranges = new Map();
+  }
+
+  /**
+   * Fetch and index every staff member's time entries for a range. Repeat
+   * calls for the same range share one download.
+   * @param {string} startDate - First date (YYYY-MM-DD)
+   * @param {string} endDate - Last date (YYYY-MM-DD)
+   * @returns {Promise<Object>} Index from indexEntries
+   */
+  fetchRange(startDate, endDate) {
+    const key = `${startDate}|${endDate}`;
+    if (!this.ranges.has(key)) {
+      const pending = this.downloadRange(startDate, endDate).catch(error => {
+        // Let a later call retry (e.g. after re-authenticating)
+        this.ranges.delete(key);
+        throw error;
+      });
+      this.ranges.set(key, pending);
+    }
+    return this.ranges.get(key);
+  }
+
+  /**
+   * Download a range window by window, page by page
+   */
+  async downloadRange(startDate, endDate) {
+    const {
+      timeEntryWindowDays: windowDays,
+      timeEntryPageSize: pageSize,
+      // Safety stop for APIs that ignore the page parameter
+      timeEntryMaxPages: maxPages
+    } = config.performance;
+
+    // Entries early on the next morning belong to the last day's shift
+    const dayAfter = new Date(`${endDate}T00:00:00.000Z`);
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+    const windows = splitRange(startDate, timezone.formatCalendarDate(dayAfter), windowDays);
+    const seen = new Set();
+    const entries = [];
+
+    for (let index = 0; index < windows.length; index++) {
+      const window = windows[index];
+
+      let previousPage = null;
+      for (let page = 1; page <= maxPages; page++) {
+        const response = await this.wfxClient.getTimesheets(window.from, window.to, { page, pageSize });
+        const pageEntries = wfxModels.parseTimeEntries(response);
+
+        // An API that ignores paging hands back the same entries again. Entries
+        // without ids can't be de-duplicated, so compare the whole page as well.
+        const pageSignature = JSON.stringify(pageEntries);
+        if (page > 1 && pageSignature === previousPage) break;
+        previousPage = pageSignature;
+
+        let added = 0;
+        pageEntries.forEach(entry => {
+          if (entry.id && seen.has(entry.id)) return;
+          if (entry.id) seen.add(entry.id);
+          entries.push(entry);
+          added++;
+        });
+
+        this.reportProgress({
+          window: index + 1,
+          windows: windows.length,
+          from: window.from,
+          to: window.to,
+          page,
+          entries: added,
+          total: entries.length
+        });
+
+        if (pageEntries.length < pageSize || added === 0) break;
+      }
+    }
+
+    return this.indexEntries(entries, startDate, endDate);
+  }
+
+  /**
+   * Report download progress to the callback, or the console
+   */
+  reportProgress(progress) {
+    if (this.onProgress) {
+      this.onProgress(progress);
+      return;
+    }
+    const pageText = progress.page > 1 ? `, page ${progress.page}` : '';
+    console.log(chalk.gray(`  • WFX time entries ${progress.window}/${progress.windows} (${progress.from} to ${progress.to}${pageText}): ${progress.entries} entries, ${progress.total} so far`));
+  }
+
+  /**
+   * Index entries by staff and shift date
+   * @param {Array<TimeEntry>} entries - Time entries
+   * @param {string} startDate - First shift date to keep (YYYY-MM-DD)
+   * @param {string} endDate - Last shift date to keep (YYYY-MM-DD)
+   * @returns {Object} { entryCount, byStaff: Map staffId -> { date -> day } }
+   */
+  indexEntries(entries, startDate, endDate) {
+    const byStaff = new Map();
+    let entryCount = 0;
+
+    entries.forEach(entry => {
+      const staffId = entry.staffId.toLowerCase();
+      const date = this.getShiftDate(entry);
+      if (date < startDate || date > endDate) return;
+      entryCount++;
+
+      if (!byStaff.has(staffId)) byStaff.set(staffId, {});
+      const days = byStaff.get(staffId);
+      if (!days[date]) {
+        days[date] = { date, entries: [], totalHours: 0, totalMinutes: 0, jobs: [] };
+      }
+      const day = days[date];
+
+      day.entries.push(entry);
+      day.totalMinutes += entry.minutes;
+      day.totalHours = (day.totalMinutes / 60).toFixed(2);
+
+      if (entry.jobId) {
+        day.jobs.push({
+          id: entry.jobId,
+          name: entry.jobName,
+          client: entry.clientName,
+          minutes: entry.minutes
+        });
+      }
+    });
+
+    return { entryCount, byStaff };
+  }
+
+  /**
+   * Get one staff member's days for a range
+   * @param {string} wfxStaffId - WFX staff id
+   * @param {string} startDate - First date (YYYY-MM-DD)
+   * @param {string} endDate - Last date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { date -> { date, entries, totalHours, totalMinutes, jobs } }
+   */
+  async getStaffDays(wfxStaffId, startDate, endDate) {
+    const index = await this.fetchRange(startDate, endDate);
+    return index.byStaff.get(String(wfxStaffId).toLowerCase()) || {};
+  }
+
+  /**
+   * Forget fetched ranges so the next call downloads again
+   */
+  clear() {
+    this.ranges.clear();
+  }
+}
+
+module.exports = TimeEntryFetcher;
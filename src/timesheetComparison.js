@@ -6,71 +6,138 @@ const path = require('path');
 const ExcelJS = require('exceljs');
 const chalk = require('chalk');
 const EnhancedJobMatcher = require('./enhancedJobMatcher');
+const timezone = require('./timezone');
+const dataQuality = require('./dataQuality');
+const geofences = require('./geofences');
+const fleetImport = require('./fleetImport');
+const staffAssignments = require('./staffAssignments');
+const tripIngestion = require('./tripIngestion');
+const siteVisits = require('./siteVisits');
+const homeDetection = require('./homeDetection');
+const placeRegistry = require('./placeRegistry');
+const classificationRules = require('./classificationRules');
+const breakDetection = require('./breakDetection');
+const payCalculator = require('./payCalculator');
+const calendar = require('./calendar');
+const rosters = require('./rosters');
+const TimeEntryFetcher = require('./timeEntryFetcher');
+const { WfxSchemaError } = require('./wfxModels');
 
 class TimesheetComparison {
   constructor() {
     this.wfxClient = new WFXApiClient();
     this.jobMatcher = new EnhancedJobMatcher(this.wfxClient);
+    this.timeEntries = new TimeEntryFetcher(this.wfxClient, { getShiftDate: entry => this.getWfxShiftDate(entry) });
     this.comparisonResults = {};
+    this.fleetImport = null; // Routing summary of the last fleet-wide import
     this.addressCache = new Map(); // Cache for address matching
   }
 
   /**
-   * Determine if address is likely home based on staff config and frequency
+   * Determine if a stop is one of the staff member's homes, with the
+   * evidence for the decision (see homeDetection)
+   * @param {string} address - Stop address
+   * @param {Object} staffConfig - Staff configuration as resolved for the day
+   * @param {Array} allTrips - All of the staff member's trips (for the most frequent address)
+   * @param {string} geofence - Stop geofence, if the export has one
+   * @returns {Object} { isHome, home, reason, evidence }
    */
-  isHomeAddress(address, staffConfig, allTrips) {
-    if (!address) return false;
-    
-    const cacheKey = `${staffConfig.fullName}_${address}`;
+  detectHome(address, staffConfig, allTrips, geofence = '') {
+    // Home locations can change over time (see staffAssignments), so they're part of the key
+    const homes = homeDetection.getHomeLocations(staffConfig);
+    const cacheKey = `${staffConfig.fullName}_${JSON.stringify(homes)}_${geofence}_${address}`;
     if (this.addressCache.has(cacheKey)) {
       return this.addressCache.get(cacheKey);
     }
-    
-    const lowerAddress = address.toLowerCase();
-    const configHomeWords = staffConfig.homeAddress.toLowerCase().split(/[\s,]+/);
-    
-    // Check for key identifying words from configured home address
-    const isConfiguredHome = configHomeWords.some(word => 
-      word.length > 3 && lowerAddress.includes(word)
-    );
-    
-    // If not from config, check if it's the most frequent address
-    let isFrequentAddress = false;
-    if (!isConfiguredHome && allTrips) {
-      const identifiedHome = csvParser.identifyHomeAddress(allTrips);
-      isFrequentAddress = identifiedHome === address;
-    }
-    
-    const result = isConfiguredHome || isFrequentAddress;
+
+    const result = homeDetection.detectHome({ address, geofence }, staffConfig, {
+      geocoder: this.jobMatcher.geocoder,
+      frequentAddress: allTrips ? this.getFrequentAddress(allTrips) : null
+    });
     this.addressCache.set(cacheKey, result);
     return result;
   }
 
+  /**
+   * Most frequent address in a trip list (computed once per list)
+   */
+  getFrequentAddress(allTrips) {
+    if (this.frequentAddressTrips !== allTrips) {
+      this.frequentAddressTrips = allTrips;
+      this.frequentAddress = csvParser.identifyHomeAddress(allTrips);
+    }
+    return this.frequentAddress;
+  }
+
+  /**
+   * Find the known place (depot, supplier, ...) a stop is at
+   * @param {string} address - Stop address
+   * @param {string} geofence - Stop geofence, if the export has one
+   * @returns {Object|null} Place from placeRegistry.findPlace
+   */
+  findPlace(address, geofence = '') {
+    const cacheKey = `place_${geofence}_${address}`;
+    if (!this.addressCache.has(cacheKey)) {
+      this.addressCache.set(cacheKey, placeRegistry.findPlace({ address, geofence }, { geocoder: this.jobMatcher.geocoder }));
+    }
+    return this.addressCache.get(cacheKey);
+  }
+
+  /**
+   * Determine if address is likely home based on staff config and frequency.
+   * A geofence name, when the export has one, decides on its own.
+   */
+  isHomeAddress(address, staffConfig, allTrips, geofence = '') {
+    return this.detectHome(address, staffConfig, allTrips, geofence).isHome;
+  }
+
   /**
    * Main comparison function
    * @param {string} staffId - Staff identifier (e.g., 'Ali_M')
-   * @param {string} csvFilePath - Path to CSV file
+   * @param {string|Array<string>} csvFilePath - Path(s) to the staff member's trip file(s)
    * @param {Date} startDate - Start date for comparison
    * @param {Date} endDate - End date for comparison
    */
-  async compareTimesheet(staffId, csvFilePath, startDate, endDate) {
+  async compareTimesheet(staffId, csvFilePath, startDate, endDate, preloaded = null) {
     console.log(chalk.blue(`\n📊 Comparing timesheet for ${staffId}...`));
     
     try {
       // Get staff configuration
-      const staffConfig = config.staff[staffId];
-      if (!staffConfig) {
+      if (!config.staff[staffId]) {
         throw new Error(`Staff configuration not found for ${staffId}`);
       }
+      const staffConfig = { staffId, ...config.staff[staffId] };
+      [
+        ...staffAssignments.validateAssignments(staffConfig),
+        ...classificationRules.validateStaffRules(staffConfig),
+        ...rosters.validateRoster(staffConfig)
+      ].forEach(problem => {
+        console.warn(chalk.yellow(`  ⚠️  ${staffId} ${problem}`));
+      });
 
-      // Parse CSV data
-      console.log(chalk.gray('  • Parsing CSV data...'));
+      // Parse CSV data (fleet imports hand over trips already routed to this staff member)
       const startTime = Date.now();
-      const csvData = await csvParser.parseCSV(csvFilePath);
+      let csvData, importReport;
+      if (preloaded) {
+        ({ trips: csvData, report: importReport } = preloaded);
+      } else {
+        console.log(chalk.gray('  • Parsing trip data...'));
+        ({ trips: csvData, report: importReport } = await tripIngestion.loadTrips(csvFilePath, {
+          format: staffConfig.csvFormat,
+          dateOrder: staffConfig.dateOrder,
+          staffConfig
+        }));
+      }
       
       // Get CSV statistics
       const csvStats = csvParser.getCSVStats(csvData);
       console.log(chalk.gray(`  • Loaded ${csvStats.totalTrips} trips (${csvStats.totalDistance}km total)`));
+      if (importReport.rejectedCount > 0) {
+        console.log(chalk.yellow(`  ⚠️  ${importReport.rejectedCount} rows rejected on import - see the import report`));
+      }
+      if (importReport.duplicateCount > 0) {
+        console.log(chalk.gray(`  • Skipped ${importReport.duplicateCount} duplicate trips`));
+      }
       
       const processedData = this.processCsvData(csvData, staffConfig);
       console.log(chalk.gray(`  • Processed in ${Date.now() - startTime}ms`));
@@ -85,12 +152,14 @@ class TimesheetComparison {
           console.log(chalk.yellow('  ⚠️  WFX not authenticated - comparison will show missing entries'));
         }
       } catch (error) {
+        if (error instanceof WfxSchemaError) throw error;
         console.warn(chalk.yellow(`  ⚠️  WFX fetch failed: ${error.message}`));
       }
 
       // Compare data
       console.log(chalk.gray('  • Comparing data...'));
       const comparison = await this.performComparison(processedData, wfxData, staffConfig);
+      await this.jobMatcher.geocoder.saveCache();
 
       // Store results
       this.comparisonResults[staffId] = {
@@ -99,6 +168,7 @@ class TimesheetComparison {
         wfxData,
         comparison,
         csvStats,
+        importReport,
         metadata: {
           csvFile: csvFilePath,
           startDate,
@@ -118,92 +188,205 @@ class TimesheetComparison {
     }
   }
 
+  /**
+   * Compare timesheets for everyone in a fleet-wide CSV export.
+   * Trips are routed to staff by driver name or vehicleId; plates that match
+   * nobody are kept in this.fleetImport.unassigned and reported.
+   */
+  async compareFleet(csvFilePath, startDate, endDate, options = {}) {
+    const fileNames = [].concat(csvFilePath).map(file => path.basename(file)).join(', ');
+    console.log(chalk.blue(`\n🚚 Importing fleet export ${fileNames}...`));
+
+    const { trips, report } = await tripIngestion.loadTrips(csvFilePath, {
+      format: options.format,
+      dateOrder: options.dateOrder
+    });
+    const { byStaff, unassigned } = fleetImport.routeFleetTrips(trips);
+
+    report.fleet = true;
+    report.unassignedVehicles = unassigned;
+    this.fleetImport = { file: csvFilePath, report, unassigned, staffIds: Object.keys(byStaff) };
+
+    console.log(chalk.gray(`  • Routed trips to ${Object.keys(byStaff).length} staff members`));
+    if (unassigned.length > 0) {
+      const unassignedTrips = unassigned.reduce((sum, vehicle) => sum + vehicle.tripCount, 0);
+      console.log(chalk.yellow(`  ⚠️  ${unassignedTrips} trips on ${unassigned.length} unassigned vehicles:`));
+      unassigned.forEach(vehicle => {
+        const drivers = vehicle.drivers.length > 0 ? ` (drivers: ${vehicle.drivers.join(', ')})` : '';
+        console.log(chalk.yellow(`     ${vehicle.plate}: ${vehicle.tripCount} trips, ${vehicle.firstDate} to ${vehicle.lastDate}${drivers}`));
+      });
+    }
+
+    const comparisons = {};
+    for (const [staffId, staffTrips] of Object.entries(byStaff)) {
+      try {
+        comparisons[staffId] = await this.compareTimesheet(staffId, csvFilePath, startDate, endDate, {
+          trips: staffTrips,
+          report
+        });
+      } catch (error) {
+        console.error(chalk.red(`❌ Could not process ${staffId}: ${error.message}`));
+      }
+    }
+
+    return { comparisons, unassigned };
+  }
+
   /**
    * Process CSV data into daily summaries (optimized)
    */
   processCsvData(csvData, staffConfig) {
     const dailySummaries = {};
     
-    // Pre-sort trips by date for better performance
+    // Group trips into shifts (work days split at config.processing.workDayBoundary)
     const tripsByDate = csvParser.groupTripsByDate(csvData);
     
+    // Odometer/time continuity - gaps are tracker dropouts, not driver behaviour
+    const qualityIssuesByDate = dataQuality.groupIssuesByDate(dataQuality.checkTripContinuity(csvData));
+    
     Object.entries(tripsByDate).forEach(([date, trips]) => {
+      // Vehicle, home address and rate as they were on this day
+      const dayConfig = staffAssignments.resolveStaffConfig(staffConfig, date);
+      const rules = classificationRules.getRules(dayConfig);
+      
       const summary = {
         date,
+        vehicleId: dayConfig.vehicleId,
+        hourlyRate: dayConfig.defaultHourlyRate,
         trips: [],
         totalDistance: 0,
+        workDistance: 0,
         totalDrivingTime: 0,
         workTravelTime: 0,
         personalTravelTime: 0,
+        unpaidTravelTime: 0,
         firstArrival: null,
         lastDeparture: null,
-        jobSites: new Set()
+        jobSites: new Set(),
+        firstStartInstant: null,
+        lastFinishInstant: null,
+        dataQualityAlerts: qualityIssuesByDate[date] || []
       };
 
       trips.forEach((trip, index) => {
-        const fromHome = this.isHomeAddress(trip['Address from'], staffConfig, csvData);
-        const toHome = this.isHomeAddress(trip['Address to'], staffConfig, csvData);
-
-        // Improved trip classification logic
-        if (fromHome && index === 0) {
-          trip.classification = 'personal_morning';
-        } else if (toHome && index === trips.length - 1) {
-          trip.classification = 'personal_evening';
-        } else if (fromHome || toHome) {
-          trip.classification = 'personal_mixed';
-        } else {
-          trip.classification = 'work';
-        }
+        const fromHomeCheck = this.detectHome(trip['Address from'], dayConfig, csvData, trip['Geofence from']);
+        const toHomeCheck = this.detectHome(trip['Address to'], dayConfig, csvData, trip['Geofence to']);
+        const fromHome = fromHomeCheck.isHome;
+        const toHome = toHomeCheck.isHome;
+
+        // Why each end was (or wasn't) taken as home
+        trip.homeEvidence = { from: fromHomeCheck.reason, to: toHomeCheck.reason };
+
+        // Depot, supplier, fuel and lunch stops are known places, not job sites
+        const fromPlace = fromHome ? null : this.findPlace(trip['Address from'], trip['Geofence from']);
+        const place = toHome ? null : this.findPlace(trip['Address to'], trip['Geofence to']);
+        trip.place = place
+          ? {
+            name: place.name,
+            category: place.category,
+            matchedBy: place.matchedBy,
+            distanceMetres: place.distanceMetres,
+            wfxClient: place.wfxClient || null,
+            wfxJobIds: place.wfxJobIds || null
+          }
+          : null;
+
+        // Calculate driving time using optimized parser
+        const drivingMinutes = csvParser.timeToMinutes(trip['Driving Time']);
+        trip.drivingMinutes = drivingMinutes;
+
+        // Classification and billable time come from the staff member's rules
+        const result = classificationRules.classifyTrip({
+          from: fromHome ? 'home' : (fromPlace ? fromPlace.category : 'site'),
+          to: toHome ? 'home' : (place ? place.category : 'site'),
+          position: classificationRules.getPosition(index, trips.length),
+          drivingMinutes
+        }, rules);
+        trip.classification = result.classification;
+        trip.billable = result.billable;
+        trip.ruleId = result.ruleId;
+        trip.billableMinutes = result.billableMinutes;
+        trip.unpaidMinutes = result.unpaidMinutes;
 
         // Update times efficiently
         const startTime = trip['Started, time'];
-        const endTime = trip['Finish, time'];
         
-        if (!summary.firstArrival || startTime < summary.firstArrival) {
+        if (trip.startedAt && trip.finishedAt) {
+          // Compare absolute instants so shifts crossing midnight order correctly
+          if (!summary.firstStartInstant || trip.startedAt < summary.firstStartInstant) {
+            summary.firstStartInstant = trip.startedAt;
+            summary.firstArrival = startTime;
+          }
+        } else if (!summary.firstArrival || startTime < summary.firstArrival) {
           summary.firstArrival = startTime;
         }
-        if (!summary.lastDeparture || endTime > summary.lastDeparture) {
-          summary.lastDeparture = endTime;
-        }
-
-        // Calculate driving time using optimized parser
-        const drivingMinutes = csvParser.timeToMinutes(trip['Driving Time']);
-        trip.drivingMinutes = drivingMinutes;
 
         // Update totals
         summary.totalDistance += trip['Distance'] || 0;
         summary.totalDrivingTime += drivingMinutes;
 
-        if (trip.classification === 'work') {
-          summary.workTravelTime += drivingMinutes;
-          if (!fromHome && !toHome) {
-            summary.jobSites.add(trip['Address to']);
-          }
+        // Billable trips are work travel (less any unpaid part); the rest is personal
+        if (trip.billable) {
+          summary.workDistance += trip['Distance'] || 0;
+          summary.workTravelTime += trip.billableMinutes;
+          summary.unpaidTravelTime += trip.unpaidMinutes;
         } else {
           summary.personalTravelTime += drivingMinutes;
         }
+        if (trip.classification === 'work' && !fromHome && !toHome) {
+          summary.jobSites.add(geofences.getTripSite(trip, 'to'));
+        }
 
         summary.trips.push(trip);
       });
 
+      // The shift ends on getting home after the last work trip - a later run
+      // to the shops or a home-to-home blip isn't part of it
+      const endTrip = breakDetection.findShiftEndTrip(summary.trips);
+      if (endTrip) {
+        summary.lastDeparture = endTrip['Finish, time'];
+        summary.lastFinishInstant = endTrip.finishedAt && summary.firstStartInstant ? endTrip.finishedAt : null;
+      }
+
+      // Time parked at each site between trips - what WFX job entries actually record
+      summary.visits = siteVisits.buildVisits(trips, {
+        isHome: (address, geofence) => this.detectHome(address, dayConfig, csvData, geofence)
+      });
+      summary.siteMinutes = siteVisits.totalSiteMinutes(summary.visits);
+      
+      // Breaks actually taken (lunch places, mid-shift home stops, long idling)
+      summary.breaks = breakDetection.inferBreaks(summary.trips, summary.visits);
+      
       // Calculate work hours for each day
       if (summary.firstArrival && summary.lastDeparture) {
-        const start = this.timeToMinutes(summary.firstArrival);
-        const end = this.timeToMinutes(summary.lastDeparture);
-        summary.totalWorkMinutes = end - start;
-        summary.totalWorkHours = (summary.totalWorkMinutes / 60).toFixed(2);
-        
-        // Apply break deduction if worked more than threshold
-        if (summary.totalWorkHours > config.processing.workingHours.breakAfterHours) {
-          summary.breakDeduction = config.processing.workingHours.breakDurationMinutes;
-          summary.netWorkMinutes = summary.totalWorkMinutes - summary.breakDeduction;
-          summary.netWorkHours = (summary.netWorkMinutes / 60).toFixed(2);
+        if (summary.firstStartInstant && summary.lastFinishInstant) {
+          // Absolute instants - correct across DST changeovers regardless of server timezone
+          summary.totalWorkMinutes = Math.round(
+            (new Date(summary.lastFinishInstant) - new Date(summary.firstStartInstant)) / 60000
+          );
         } else {
-          summary.netWorkMinutes = summary.totalWorkMinutes;
-          summary.netWorkHours = summary.totalWorkHours;
+          const start = this.timeToMinutes(summary.firstArrival);
+          const end = this.timeToMinutes(summary.lastDeparture);
+          summary.totalWorkMinutes = end - start;
         }
+        summary.totalWorkHours = (summary.totalWorkMinutes / 60).toFixed(2);
+        
+        // Deduct the breaks actually taken, and check one came early enough
+        const shiftStartMinutes = Math.min(...trips.map(trip => trip.shiftStartMinutes !== undefined
+          ? trip.shiftStartMinutes
+          : this.timeToMinutes(trip['Started, time'])));
+        summary.shiftStartMinutes = shiftStartMinutes;
+        summary.shiftFinishMinutes = shiftStartMinutes + summary.totalWorkMinutes;
+        summary.breakDeduction = breakDetection.totalBreakMinutes(summary.breaks);
+        summary.breakCompliance = breakDetection.checkCompliance(summary.breaks, shiftStartMinutes, summary.totalWorkMinutes);
+        summary.netWorkMinutes = summary.totalWorkMinutes - summary.breakDeduction;
+        summary.netWorkHours = (summary.netWorkMinutes / 60).toFixed(2);
       }
       
+      summary.missingDistanceKm = Math.round(summary.dataQualityAlerts
+        .filter(issue => issue.type === 'odometer_gap')
+        .reduce((total, issue) => total + issue.missingKm, 0) * 10) / 10;
+      
       summary.jobSites = Array.from(summary.jobSites);
       dailySummaries[date] = summary;
     });
@@ -217,158 +400,15 @@ class TimesheetComparison {
   async fetchWfxTimesheet(wfxStaffId, startDate, endDate) {
     try {
       // Format dates for WFX API
-      const fromDate = startDate.toISOString().split('T')[0];
-      const toDate = endDate.toISOString().split('T')[0];
-
-      // Get timesheets with caching
-      const response = await this.wfxClient.getTimesheets(fromDate, toDate);
-      
-      // Log the response structure to understand it
-      if (config.debug.api) {
-        console.log(chalk.gray('  • WFX API Response structure:'));
-        console.log(chalk.gray(`    Type: ${typeof response}`));
-        console.log(chalk.gray(`    Is Array: ${Array.isArray(response)}`));
-        if (response && typeof response === 'object') {
-          console.log(chalk.gray(`    Keys: ${Object.keys(response).join(', ')}`));
-          // Log the structure to understand XML parsed format
-          if (response.Response) {
-            console.log(chalk.gray(`    Response keys: ${Object.keys(response.Response).join(', ')}`));
-            if (response.Response.TimesheetList) {
-              console.log(chalk.gray(`    TimesheetList type: ${typeof response.Response.TimesheetList}`));
-              console.log(chalk.gray(`    TimesheetList keys: ${Object.keys(response.Response.TimesheetList).join(', ')}`));
-            }
-          }
-        }
-      }
-      
-      // Handle different response formats
-      let timesheets = [];
-      if (Array.isArray(response)) {
-        timesheets = response;
-      } else if (response && response.Timesheets && Array.isArray(response.Timesheets)) {
-        // WorkflowMax returns data wrapped in Timesheets property
-        timesheets = response.Timesheets;
-      } else if (response && response.TimeSheet && Array.isArray(response.TimeSheet)) {
-        // Alternative property name
-        timesheets = response.TimeSheet;
-      } else if (response && response.Response && response.Response.TimesheetList) {
-        // Handle parsed XML structure from WorkflowMax
-        const timesheetList = response.Response.TimesheetList;
-        if (timesheetList.Timesheet) {
-          // If single timesheet, make it an array
-          timesheets = Array.isArray(timesheetList.Timesheet) 
-            ? timesheetList.Timesheet 
-            : [timesheetList.Timesheet];
-          
-          console.log(chalk.gray(`  • Extracted ${timesheets.length} timesheets from XML response`));
-          
-          // Log first timesheet structure for debugging
-          if (config.debug.api && timesheets.length > 0) {
-            console.log(chalk.gray(`  • First timesheet structure: ${Object.keys(timesheets[0]).join(', ')}`));
-          }
-        }
-      } else if (response && response.Response && response.Response.Times) {
-        // Handle parsed XML structure with Times property
-        const timesList = response.Response.Times;
-        if (timesList.Time) {
-          // If single entry, make it an array
-          timesheets = Array.isArray(timesList.Time)
-            ? timesList.Time
-            : [timesList.Time];
-
-          console.log(chalk.gray(`  • Extracted ${timesheets.length} timesheets from XML response (Times property)`));
-
-          // Log first timesheet structure for debugging
-          if (config.debug.api && timesheets.length > 0 && typeof timesheets[0] === 'object' && timesheets[0] !== null) {
-            console.log(chalk.gray(`  • First timesheet structure (Times property): ${Object.keys(timesheets[0]).join(', ')}`));
-            // Detailed log for the 'Staff' property of the first timesheet
-            if (timesheets[0].Staff) {
-              console.log(chalk.gray(`    • ts.Staff type: ${typeof timesheets[0].Staff}`));
-              if (typeof timesheets[0].Staff === 'object' && timesheets[0].Staff !== null) {
-                console.log(chalk.gray(`    • ts.Staff keys: ${Object.keys(timesheets[0].Staff).join(', ')}`));
-                try {
-                  console.log(chalk.gray(`    • ts.Staff value: ${JSON.stringify(timesheets[0].Staff)}`));
-                } catch (e) {
-                  console.log(chalk.gray(`    • ts.Staff value: (circular structure or error serializing)`));
-                }
-              } else {
-                console.log(chalk.gray(`    • ts.Staff value: ${timesheets[0].Staff}`));
-              }
-            } else {
-              console.log(chalk.gray(`    • ts.Staff property not found in first timesheet.`));
-            }
-          } else if (config.debug.api && timesheets.length > 0) {
-            console.log(chalk.gray(`  • First timesheet (Times property) is not an object or is null`));
-          }
-        }
-      } else {
-        console.warn(chalk.yellow(`  ⚠️  Unexpected WFX API response format. Expected array or object with Timesheets or Times property.`));
-        return {};
-      }
-      
-      console.log(chalk.gray(`  • Found ${timesheets.length} total timesheet entries`));
-      
-      // Filter for specific staff (case-insensitive)
-      // WorkflowMax XML uses StaffUUID instead of staffId. The new format seems to use 'Staff', which might be an object or a direct ID.
-      const staffTimesheets = timesheets.filter(ts => {
-        let staffIdentifier = null;
-        
-        if (ts.Staff) { // Check the 'Staff' property first, based on new API response structure
-          if (typeof ts.Staff === 'object' && ts.Staff !== null) {
-            // If 'Staff' is an object, attempt to get UUID or ID from it. Common patterns for Xero API.
-            staffIdentifier = ts.Staff.UUID || ts.Staff.ID || ts.Staff.Id || ts.Staff.UserID; 
-          } else {
-            // If 'Staff' is a primitive (e.g., string ID), use it directly
-            staffIdentifier = ts.Staff;
-          }
-        }
+      const fromDate = timezone.formatCalendarDate(startDate);
+      const toDate = timezone.formatCalendarDate(endDate);
 
-        // Fallback to older known keys if 'Staff' property didn't yield an ID or wasn't present
-        if (!staffIdentifier) {
-          staffIdentifier = ts.StaffUUID || ts.staffId || ts.StaffID;
-        }
-        
-        return staffIdentifier && staffIdentifier.toString().toLowerCase() === wfxStaffId.toLowerCase();
-      });
+      // Everyone's entries for the range are fetched once and shared between staff
+      const index = await this.timeEntries.fetchRange(fromDate, toDate);
+      const dailyTimesheets = await this.timeEntries.getStaffDays(wfxStaffId, fromDate, toDate);
       
-      console.log(chalk.gray(`  • Filtered to ${staffTimesheets.length} entries for staff ${wfxStaffId}`));
-
-      // Group by date efficiently
-      const dailyTimesheets = staffTimesheets.reduce((grouped, entry) => {
-        // WorkflowMax XML uses Date field
-        const date = entry.Date || entry.date;
-        if (!date) return grouped;
-        
-        if (!grouped[date]) {
-          grouped[date] = {
-            date,
-            entries: [],
-            totalHours: 0,
-            totalMinutes: 0,
-            jobs: []
-          };
-        }
-
-        grouped[date].entries.push(entry);
-        
-        // Handle both Minutes and TotalMinutes fields
-        const minutes = parseFloat(entry.Minutes || entry.TotalMinutes || entry.minutes || 0);
-        grouped[date].totalMinutes += minutes;
-        grouped[date].totalHours = (grouped[date].totalMinutes / 60).toFixed(2);
-        
-        // Extract job information if available
-        const job = entry.Job || entry.job;
-        if (job) {
-          grouped[date].jobs.push({
-            id: job.ID || job.UUID || job.id,
-            name: job.Name || job.name,
-            client: job.Client || job.client,
-            minutes: minutes
-          });
-        }
-
-        return grouped;
-      }, {});
+      const entryCount = Object.values(dailyTimesheets).reduce((total, day) => total + day.entries.length, 0);
+      console.log(chalk.gray(`  • ${entryCount} of ${index.entryCount} WFX entries belong to staff ${wfxStaffId}`));
 
       // Log the grouped dailyTimesheets before returning
       if (config.debug.api) {
@@ -393,11 +433,33 @@ class TimesheetComparison {
 
       return dailyTimesheets;
     } catch (error) {
+      // A response we can't read would silently look like no timesheets at all
+      if (error instanceof WfxSchemaError) throw error;
       console.warn(chalk.yellow(`  ⚠️  Could not fetch WFX data: ${error.message}`));
       return {};
     }
   }
 
+  /**
+   * Get the shift date a WFX time entry belongs to. Entries starting before
+   * the work day boundary (e.g. 01:00 on a night shift) belong to the
+   * previous day's shift.
+   * @param {Object} entry - TimeEntry (src/wfxModels.js)
+   * @returns {string} Shift date (YYYY-MM-DD)
+   */
+  getWfxShiftDate(entry) {
+    const date = entry.date;
+    if (!entry.startTime) return date;
+    
+    if (this.timeToMinutes(entry.startTime) >= timezone.getWorkDayBoundaryMinutes()) {
+      return date;
+    }
+    
+    const previous = new Date(`${date}T00:00:00.000Z`);
+    previous.setUTCDate(previous.getUTCDate() - 1);
+    return timezone.formatCalendarDate(previous);
+  }
+
   /**
    * Perform detailed comparison (enhanced with job matching)
    */
@@ -410,22 +472,32 @@ class TimesheetComparison {
         matchedDays: 0,
         discrepancyDays: 0,
         missingWfxDays: 0,
+        nonWorkingDays: 0,
+        lateStartDays: 0,
+        earlyFinishDays: 0,
+        unrosteredWorkDays: 0,
         totalCsvHours: 0,
         totalWfxHours: 0,
         totalDiscrepancyHours: 0,
         totalUnaccountedTravel: 0,
+        breakNonCompliantDays: 0,
+        underRecordedValue: 0,
+        overRecordedValue: 0,
+        travelAllowance: 0,
         alerts: [],
         // Enhanced metrics
         jobMatchAccuracy: 0,
         locationMatchAccuracy: 0,
         timeMatchAccuracy: 0,
         unmatchedJobs: 0,
-        unmatchedTrips: 0
+        unmatchedTrips: 0,
+        supplierRuns: 0,
+        attributedSupplierRuns: 0
       }
     };
 
     // Perform traditional comparison first
-    this.performTraditionalComparison(comparison, csvData, wfxData);
+    this.performTraditionalComparison(comparison, csvData, wfxData, staffConfig);
 
     // Perform enhanced job-based comparison only if we have WFX data
     const hasWfxData = Object.keys(wfxData).length > 0;
@@ -443,6 +515,7 @@ class TimesheetComparison {
         
         console.log(chalk.gray(`  • Job matching completed: ${enhancedResults.summary.locationMatchAccuracy}% location accuracy`));
       } catch (error) {
+        if (error instanceof WfxSchemaError) throw error;
         console.warn(chalk.yellow(`  ⚠️  Enhanced job matching failed: ${error.message}`));
         // Fall back to traditional comparison only
       }
@@ -456,28 +529,58 @@ class TimesheetComparison {
   /**
    * Perform traditional day-level comparison (existing logic)
    */
-  performTraditionalComparison(comparison, csvData, wfxData) {
+  performTraditionalComparison(comparison, csvData, wfxData, staffConfig = {}) {
     const allDates = Object.keys(csvData);
+    const payRules = payCalculator.getPayRules(staffConfig);
     comparison.summary.totalDays = allDates.length;
 
     allDates.forEach(date => {
       const csv = csvData[date];
       const wfx = wfxData[date];
+      const dayConfig = staffAssignments.resolveStaffConfig(staffConfig, date);
+      const dayInfo = calendar.getDayInfo(date, dayConfig);
+      const roster = rosters.checkDay(date, dayConfig, {
+        startMinutes: csv.shiftStartMinutes,
+        finishMinutes: csv.shiftFinishMinutes
+      });
       
       const dayComparison = {
         date,
+        dayType: dayInfo.dayType,
+        dayLabel: dayInfo.label,
+        roster,
         csvHours: parseFloat(csv.netWorkHours || 0),
         wfxHours: parseFloat(wfx?.totalHours || 0),
         discrepancy: 0,
         workTravel: csv.workTravelTime,
         personalTravel: csv.personalTravelTime,
         totalDistance: csv.totalDistance,
+        breakMinutes: csv.breakDeduction || 0,
+        breakCompliance: csv.breakCompliance || null,
         status: 'matched',
-        alerts: []
+        alerts: [],
+        dataQualityAlerts: csv.dataQualityAlerts || []
       };
 
       // Calculate discrepancy
       dayComparison.discrepancy = dayComparison.csvHours - dayComparison.wfxHours;
+
+      // What the discrepancy is worth at this day's rate
+      dayComparison.pay = payCalculator.priceDay({
+        date,
+        csvHours: dayComparison.csvHours,
+        wfxHours: dayComparison.wfxHours,
+        hourlyRate: csv.hourlyRate || dayConfig.defaultHourlyRate,
+        workKm: csv.workDistance
+      }, payRules);
+
+      // Trips with no WFX time on a day off are most likely private use - not owed
+      const privateUse = !dayInfo.isWorkingDay && (!wfx || wfx.totalHours === 0);
+      if (!privateUse) {
+        comparison.summary.underRecordedValue += dayComparison.pay.underRecordedValue;
+        comparison.summary.overRecordedValue += dayComparison.pay.overRecordedValue;
+        comparison.summary.travelAllowance += dayComparison.pay.travelAllowance;
+      }
       
       // Update summary efficiently
       comparison.summary.totalCsvHours += dayComparison.csvHours;
@@ -485,7 +588,17 @@ class TimesheetComparison {
       comparison.summary.totalDiscrepancyHours += Math.abs(dayComparison.discrepancy);
 
       // Determine status and alerts
-      if (!wfx || wfx.totalHours === 0) {
+      if (privateUse) {
+        dayComparison.status = 'non_working_day';
+        comparison.summary.nonWorkingDays++;
+        if (config.calendar.flagNonWorkingDayTravel) {
+          dayComparison.alerts.push({
+            type: 'non_working_day_travel',
+            message: `Vehicle used on ${dayInfo.label} (${dayInfo.dayType.replace(/_/g, ' ')}) with no WFX time - check for private use`,
+            severity: dayInfo.dayType === 'shutdown' ? 'medium' : 'low'
+          });
+        }
+      } else if (!wfx || wfx.totalHours === 0) {
         dayComparison.status = 'missing_wfx';
         comparison.summary.missingWfxDays++;
         if (config.alerts.missingTimesheetAlert) {
@@ -506,8 +619,36 @@ class TimesheetComparison {
         comparison.summary.matchedDays++;
       }
 
-      // Check travel time alerts
-      if (dayComparison.workTravel > config.alerts.unaccountedTravelMinutes) {
+      // Roster - a day off with only private driving isn't unrostered work
+      if (!privateUse) {
+        if (roster.unrostered) {
+          comparison.summary.unrosteredWorkDays++;
+          dayComparison.alerts.push({
+            type: 'unrostered_work',
+            message: `Worked ${dayComparison.csvHours.toFixed(2)} hours on a day not rostered (${roster.roster})`,
+            severity: 'medium'
+          });
+        }
+        if (roster.lateStartMinutes > 0) {
+          comparison.summary.lateStartDays++;
+          dayComparison.alerts.push({
+            type: 'late_start',
+            message: `Started ${roster.lateStartMinutes} min after rostered start (${roster.text})`,
+            severity: 'low'
+          });
+        }
+        if (roster.earlyFinishMinutes > 0) {
+          comparison.summary.earlyFinishDays++;
+          dayComparison.alerts.push({
+            type: 'early_finish',
+            message: `Finished ${roster.earlyFinishMinutes} min before rostered finish (${roster.text})`,
+            severity: 'low'
+          });
+        }
+      }
+
+      // Check travel time alerts (none on a day off - the driving wasn't work)
+      if (!privateUse && dayComparison.workTravel > config.alerts.unaccountedTravelMinutes) {
         dayComparison.alerts.push({
           type: 'unaccounted_travel',
           message: `${dayComparison.workTravel} minutes of work travel time`,
@@ -525,12 +666,37 @@ class TimesheetComparison {
         });
       }
 
+      // Break rule - a long enough break must start before breakAfterHours
+      if (!privateUse && dayComparison.breakCompliance && !dayComparison.breakCompliance.compliant) {
+        comparison.summary.breakNonCompliantDays++;
+        dayComparison.alerts.push({
+          type: 'break_compliance',
+          message: `Break: ${dayComparison.breakCompliance.message}`,
+          severity: 'medium'
+        });
+      }
+
+      // Surface tracker data gaps so discrepancies aren't blamed on the tech
+      dayComparison.dataQualityAlerts.forEach(issue => {
+        dayComparison.alerts.push({
+          type: 'data_quality',
+          subtype: issue.type,
+          message: `Data quality: ${issue.message}`,
+          severity: issue.severity
+        });
+      });
+
       comparison.dailyComparisons[date] = dayComparison;
     });
 
-    // Calculate accuracy percentage
-    comparison.summary.accuracy = comparison.summary.totalDays > 0 
-      ? ((comparison.summary.matchedDays / comparison.summary.totalDays) * 100).toFixed(1)
+    ['underRecordedValue', 'overRecordedValue', 'travelAllowance'].forEach(field => {
+      comparison.summary[field] = Math.round(comparison.summary[field] * 100) / 100;
+    });
+
+    // Calculate accuracy percentage - days off with no WFX time aren't expected to match
+    const expectedDays = comparison.summary.totalDays - comparison.summary.nonWorkingDays;
+    comparison.summary.accuracy = expectedDays > 0 
+      ? ((comparison.summary.matchedDays / expectedDays) * 100).toFixed(1)
       : 0;
   }
 
@@ -543,6 +709,8 @@ class TimesheetComparison {
     summary.timeMatchAccuracy = parseFloat(enhancedSummary.timeMatchAccuracy);
     summary.unmatchedJobs = enhancedSummary.unmatchedWfxEntries;
     summary.unmatchedTrips = enhancedSummary.unmatchedTrips;
+    summary.supplierRuns = enhancedSummary.supplierRuns;
+    summary.attributedSupplierRuns = enhancedSummary.attributedSupplierRuns;
   }
 
   /**
@@ -571,7 +739,7 @@ class TimesheetComparison {
     if (enhancedResults.summary.unmatchedTrips > 0) {
       comparison.summary.alerts.push({
         type: 'unmatched_work_trips',
-        message: `${enhancedResults.summary.unmatchedTrips} work trips could not be matched to WFX jobs`,
+        message: `${enhancedResults.summary.unmatchedTrips} work ${enhancedResults.summary.matchedAgainst === 'visits' ? 'site visits' : 'trips'} could not be matched to WFX jobs`,
         severity: 'medium'
       });
     }
@@ -647,6 +815,10 @@ class TimesheetComparison {
         console.log(chalk.yellow(`  ⚠️  Unmatched Work Trips: ${summary.unmatchedTrips}`));
       }
       
+      if (summary.supplierRuns > 0) {
+        console.log(chalk.gray(`  🧰 Supplier Runs: ${summary.supplierRuns} (${summary.attributedSupplierRuns} attributed to the next job)`));
+      }
+      
       if (summary.unmatchedJobs > 0) {
         console.log(chalk.yellow(`  ⚠️  Unmatched WFX Jobs: ${summary.unmatchedJobs}`));
       }
@@ -660,6 +832,14 @@ class TimesheetComparison {
       console.log(chalk.red(`  ❌ Missing WFX Entries: ${summary.missingWfxDays} days`));
     }
     
+    if (summary.lateStartDays > 0 || summary.earlyFinishDays > 0 || summary.unrosteredWorkDays > 0) {
+      console.log(chalk.yellow(`  🗓️  Roster: ${summary.lateStartDays} late starts, ${summary.earlyFinishDays} early finishes, ${summary.unrosteredWorkDays} unrostered work days`));
+    }
+    
+    if (summary.nonWorkingDays > 0) {
+      console.log(chalk.gray(`  📅 Non-working Days Driven: ${summary.nonWorkingDays} (holidays, weekends, shutdowns, RDOs)`));
+    }
+    
     console.log(`\n  Hours Comparison:`);
     console.log(`    CSV Total: ${summary.totalCsvHours.toFixed(2)} hours`);
     console.log(`    WFX Total: ${summary.totalWfxHours.toFixed(2)} hours`);
@@ -668,10 +848,21 @@ class TimesheetComparison {
     const diffColor = Math.abs(hoursDiff) > 2 ? chalk.red : chalk.gray;
     console.log(`    Difference: ${diffColor(hoursDiff.toFixed(2) + ' hours')}`);
     
+    console.log(`\n  Value of Discrepancies:`);
+    console.log(`    Under-recorded time: ${chalk.yellow('$' + summary.underRecordedValue.toFixed(2))}`);
+    console.log(`    Over-recorded time: ${chalk.yellow('$' + summary.overRecordedValue.toFixed(2))}`);
+    if (summary.travelAllowance > 0) {
+      console.log(chalk.gray(`    Travel allowance: $${summary.travelAllowance.toFixed(2)}`));
+    }
+    
     if (summary.totalUnaccountedTravel > 0) {
       console.log(chalk.yellow(`\n  ⚠️  Unaccounted Travel: ${(summary.totalUnaccountedTravel / 60).toFixed(2)} hours`));
     }
     
+    if (summary.breakNonCompliantDays > 0) {
+      console.log(chalk.yellow(`  ☕ No break before the ${config.processing.workingHours.breakAfterHours}h limit on ${summary.breakNonCompliantDays} days`));
+    }
+    
     if (summary.alerts.length > 0) {
       console.log(chalk.bold('\n  ⚡ Summary Alerts:'));
       summary.alerts.forEach(alert => {
@@ -711,6 +902,20 @@ class TimesheetComparison {
       this.createStaffSheet(sheet, staffId, result);
     });
     
+    // Rejected import rows, so admins can fix the source exports
+    const importSheet = workbook.addWorksheet('Import Issues');
+    this.createImportIssuesSheet(importSheet);
+    
+    // Breaks inferred from the trip data, checked against the break rule
+    const breakSheet = workbook.addWorksheet('Break Compliance');
+    this.createBreakComplianceSheet(breakSheet);
+    
+    // Fleet exports: vehicles no staff member could be matched to
+    if (this.fleetImport) {
+      const unassignedSheet = workbook.addWorksheet('Unassigned Vehicles');
+      this.createUnassignedVehiclesSheet(unassignedSheet);
+    }
+    
     await workbook.xlsx.writeFile(outputPath);
     console.log(chalk.green(`✅ Excel report saved to: ${outputPath}`));
   }
@@ -744,6 +949,8 @@ class TimesheetComparison {
     return {
       addressCacheSize: this.addressCache.size,
       wfxCacheStats: this.wfxClient.getCacheStats(),
+      wfxRequestStats: this.wfxClient.scheduler.getStats(),
+      geocoderStats: this.jobMatcher.geocoder.getStats(),
       resultsCount: Object.keys(this.comparisonResults).length
     };
   }
@@ -759,6 +966,8 @@ class TimesheetComparison {
       { header: 'Difference', key: 'difference', width: 12 },
       { header: 'Unaccounted Travel', key: 'travel', width: 18 },
       { header: 'Total Distance', key: 'distance', width: 15 },
+      { header: 'Value of Under-recorded Time', key: 'underValue', width: 16 },
+      { header: 'Value of Over-recorded Time', key: 'overValue', width: 16 },
       { header: 'Alerts', key: 'alerts', width: 30 }
     ];
 
@@ -785,6 +994,8 @@ class TimesheetComparison {
         difference: (summary.totalCsvHours - summary.totalWfxHours).toFixed(2),
         travel: `${(summary.totalUnaccountedTravel / 60).toFixed(2)} hours`,
         distance: `${csvStats.totalDistance?.toFixed(1) || 0} km`,
+        underValue: summary.underRecordedValue || 0,
+        overValue: summary.overRecordedValue || 0,
         alerts: summary.alerts.map(a => a.message).join('; ')
       });
 
@@ -800,6 +1011,123 @@ class TimesheetComparison {
     });
   }
 
+  createImportIssuesSheet(sheet) {
+    sheet.columns = [
+      { header: 'Staff Name', key: 'name', width: 20 },
+      { header: 'File', key: 'file', width: 30 },
+      { header: 'Row', key: 'row', width: 8 },
+      { header: 'Line', key: 'line', width: 8 },
+      { header: 'Reason', key: 'reason', width: 18 },
+      { header: 'Message', key: 'message', width: 45 },
+      { header: 'Raw Values', key: 'raw', width: 80 }
+    ];
+
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF4472C4' }
+    };
+
+    // A fleet import report is shared by every staff member routed from it
+    const seenReports = new Set();
+
+    Object.values(this.comparisonResults).forEach(result => {
+      const report = result.importReport;
+      if (!report || seenReports.has(report)) return;
+      seenReports.add(report);
+
+      const name = report.fleet ? 'Fleet import' : result.staffConfig.fullName;
+
+      report.rejectedRows.forEach(rejected => {
+        sheet.addRow({
+          name,
+          file: path.basename(rejected.file || report.file || ''),
+          row: rejected.row,
+          line: rejected.line,
+          reason: rejected.reason,
+          message: rejected.message,
+          raw: typeof rejected.raw === 'string' ? rejected.raw : JSON.stringify(rejected.raw)
+        });
+      });
+
+      (report.duplicates || []).forEach(duplicate => {
+        sheet.addRow({
+          name,
+          file: path.basename(duplicate.file || report.file || ''),
+          row: duplicate.row,
+          reason: 'duplicate',
+          message: duplicate.message
+        });
+      });
+    });
+  }
+
+  createUnassignedVehiclesSheet(sheet) {
+    sheet.columns = [
+      { header: 'Number Plate', key: 'plate', width: 15 },
+      { header: 'Trips', key: 'tripCount', width: 8 },
+      { header: 'First Date', key: 'firstDate', width: 12 },
+      { header: 'Last Date', key: 'lastDate', width: 12 },
+      { header: 'Drivers', key: 'drivers', width: 40 }
+    ];
+
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF4472C4' }
+    };
+
+    this.fleetImport.unassigned.forEach(vehicle => {
+      sheet.addRow({ ...vehicle, drivers: vehicle.drivers.join(', ') });
+    });
+  }
+
+  createBreakComplianceSheet(sheet) {
+    sheet.columns = [
+      { header: 'Staff Name', key: 'name', width: 20 },
+      { header: 'Date', key: 'date', width: 12 },
+      { header: 'Hours Worked', key: 'hours', width: 14 },
+      { header: 'Break Minutes', key: 'breakMinutes', width: 14 },
+      { header: 'Breaks', key: 'breaks', width: 50 },
+      { header: 'Break Due By', key: 'deadline', width: 14 },
+      { header: 'Compliant', key: 'compliant', width: 12 },
+      { header: 'Notes', key: 'message', width: 50 }
+    ];
+
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF4472C4' }
+    };
+
+    Object.values(this.comparisonResults).forEach(result => {
+      Object.entries(result.csvData || {}).forEach(([date, day]) => {
+        if (!day.breakCompliance) return;
+
+        const row = sheet.addRow({
+          name: result.staffConfig.fullName,
+          date,
+          hours: parseFloat(day.totalWorkHours),
+          breakMinutes: day.breakDeduction,
+          breaks: (day.breaks || []).map(entry => `${entry.startTime} ${entry.minutes}m (${entry.source})`).join(', '),
+          deadline: day.breakCompliance.required ? day.breakCompliance.deadline : '',
+          compliant: day.breakCompliance.compliant ? 'Yes' : 'No',
+          message: day.breakCompliance.message
+        });
+
+        if (!day.breakCompliance.compliant) {
+          row.getCell('compliant').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } };
+        }
+      });
+    });
+  }
+
   createStaffSheet(sheet, staffId, result) {
     // Add headers
     sheet.columns = [
@@ -807,6 +1135,8 @@ class TimesheetComparison {
       { header: 'CSV Hours', key: 'csvHours', width: 12 },
       { header: 'WFX Hours', key: 'wfxHours', width: 12 },
       { header: 'Difference', key: 'difference', width: 12 },
+      { header: 'Difference ($)', key: 'differenceValue', width: 14 },
+      { header: 'Roster', key: 'roster', width: 20 },
       { header: 'Work Travel', key: 'workTravel', width: 15 },
       { header: 'Personal Travel', key: 'personalTravel', width: 15 },
       { header: 'Total Distance', key: 'distance', width: 15 },
@@ -830,10 +1160,12 @@ class TimesheetComparison {
         csvHours: day.csvHours.toFixed(2),
         wfxHours: day.wfxHours.toFixed(2),
         difference: day.discrepancy.toFixed(2),
+        differenceValue: day.pay ? (day.pay.underRecordedValue - day.pay.overRecordedValue).toFixed(2) : '',
+        roster: day.roster ? day.roster.text : '',
         workTravel: `${day.workTravel} min`,
         personalTravel: `${day.personalTravel} min`,
         distance: `${day.totalDistance.toFixed(1)} km`,
-        status: day.status.replace('_', ' '),
+        status: day.dayLabel ? `${day.status.replace(/_/g, ' ')} (${day.dayLabel})` : day.status.replace(/_/g, ' '),
         alerts: day.alerts.map(a => a.message).join('; ')
       });
 
@@ -850,6 +1182,12 @@ class TimesheetComparison {
           pattern: 'solid',
           fgColor: { argb: 'FFFFC7CE' }
         };
+      } else if (day.status === 'non_working_day') {
+        row.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFD9D9D9' }
+        };
       }
     });
 
@@ -859,6 +1197,7 @@ class TimesheetComparison {
       csvHours: result.comparison.summary.totalCsvHours.toFixed(2),
       wfxHours: result.comparison.summary.totalWfxHours.toFixed(2),
       difference: (result.comparison.summary.totalCsvHours - result.comparison.summary.totalWfxHours).toFixed(2),
+      differenceValue: ((result.comparison.summary.underRecordedValue || 0) - (result.comparison.summary.overRecordedValue || 0)).toFixed(2),
       workTravel: `${(result.comparison.summary.totalUnaccountedTravel).toFixed(0)} min`,
       personalTravel: '',
       distance: `${result.csvStats?.totalDistance?.toFixed(1) || 0} km`,
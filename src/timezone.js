@@ -0,0 +1,178 @@
+const moment = require('moment-timezone');
+const config = require('./config');
+
+/**
+ * Timezone and calendar-date helpers.
+ *
+ * Trip timestamps in telematics exports are wall-clock times in the vehicle's
+ * local zone. These helpers turn them into absolute instants so daily totals
+ * don't depend on the server's timezone or on DST changeovers.
+ */
+
+// Accepted separators and field patterns for each declared date order
+// (strict moment parsing treats D and DD as different widths, so list both)
+const DATE_ORDER_PATTERNS = {
+  DMY: ['DD{s}MM{s}YYYY', 'D{s}M{s}YYYY', 'DD{s}MM{s}YY', 'D{s}M{s}YY'],
+  MDY: ['MM{s}DD{s}YYYY', 'M{s}D{s}YYYY', 'MM{s}DD{s}YY', 'M{s}D{s}YY'],
+  YMD: ['YYYY{s}MM{s}DD', 'YYYY{s}M{s}D']
+};
+
+const DATE_SEPARATORS = ['/', '-', '.'];
+
+/**
+ * Get the default timezone for the whole application
+ * @returns {string} IANA timezone name
+ */
+function getDefaultTimezone() {
+  return config.processing.timezone;
+}
+
+/**
+ * Resolve the timezone to use for a trip, most specific first:
+ * explicit override, vehicle, staff member, application default
+ * @param {Object} options - Resolution options
+ * @param {string} options.timezone - Explicit timezone override
+ * @param {string} options.plate - Vehicle number plate
+ * @param {Object} options.staffConfig - Staff configuration
+ * @returns {string} IANA timezone name
+ */
+function resolveTimezone({ timezone, plate, staffConfig } = {}) {
+  const vehicle = plate ? config.vehicles[plate] : null;
+  const resolved = timezone || vehicle?.timezone || staffConfig?.timezone || getDefaultTimezone();
+
+  if (!moment.tz.zone(resolved)) {
+    throw new Error(`Unknown timezone "${resolved}"`);
+  }
+  return resolved;
+}
+
+/**
+ * Expand a declared date order (DMY, MDY, YMD) into strict moment formats
+ * @param {string} order - Date order code
+ * @returns {Array<string>} Moment format strings
+ */
+function dateFormatsForOrder(order) {
+  const patterns = DATE_ORDER_PATTERNS[(order || '').toUpperCase()];
+  if (!patterns) {
+    throw new Error(`Unknown date order "${order}". Use one of: ${Object.keys(DATE_ORDER_PATTERNS).join(', ')}`);
+  }
+
+  const formats = [];
+  patterns.forEach(pattern => {
+    DATE_SEPARATORS.forEach(separator => {
+      formats.push(pattern.split('{s}').join(separator));
+    });
+  });
+  return formats;
+}
+
+/**
+ * Combine a local date and time into an absolute instant
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM)
+ * @param {string} timezone - IANA timezone name
+ * @returns {string|null} ISO 8601 UTC timestamp, or null if unparseable
+ */
+function toInstant(date, time, timezone) {
+  if (!date) return null;
+  const local = moment.tz(`${date} ${time || '00:00'}`, 'YYYY-MM-DD HH:mm', true, timezone);
+  return local.isValid() ? local.toISOString() : null;
+}
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {string|Date} instant - Absolute instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+function localDate(instant, timezone) {
+  return moment(instant).tz(timezone).format('YYYY-MM-DD');
+}
+
+/**
+ * Get the local wall-clock date and time of an instant in a timezone
+ * @param {string|Date|number} instant - Absolute instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:mm' }
+ */
+function localDateTime(instant, timezone) {
+  const local = moment(instant).tz(timezone);
+  return { date: local.format('YYYY-MM-DD'), time: local.format('HH:mm') };
+}
+
+/**
+ * Get the configured work day boundary in minutes after midnight. Trips that
+ * start before the boundary belong to the previous day's shift.
+ * @param {string} boundary - Optional HH:MM override
+ * @returns {number} Minutes after midnight
+ */
+function getWorkDayBoundaryMinutes(boundary = config.processing.workDayBoundary) {
+  if (!boundary) return 0;
+  const [hours, minutes] = String(boundary).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Get the shift (work day) an instant belongs to
+ * @param {string|Date} instant - Absolute instant
+ * @param {string} timezone - IANA timezone name
+ * @param {number} boundaryMinutes - Work day boundary in minutes after midnight
+ * @returns {string} Shift date (YYYY-MM-DD)
+ */
+function shiftDate(instant, timezone, boundaryMinutes = getWorkDayBoundaryMinutes()) {
+  return moment(instant).tz(timezone).subtract(boundaryMinutes, 'minutes').format('YYYY-MM-DD');
+}
+
+/**
+ * Minutes from local midnight at the start of a shift date to an instant.
+ * Times after midnight on the following day come out above 1440, so a night
+ * shift stays one continuous, increasing range.
+ * @param {string|Date} instant - Absolute instant
+ * @param {string} date - Shift date (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} Minutes since the shift date's local midnight
+ */
+function minutesIntoShift(instant, date, timezone) {
+  const midnight = moment.tz(date, 'YYYY-MM-DD', timezone);
+  return Math.round(moment(instant).diff(midnight, 'minutes', true));
+}
+
+/**
+ * Format a calendar-date Date object (as built by the CLI or dashboard from a
+ * YYYY-MM-DD string, i.e. UTC midnight) without shifting it across midnight
+ * @param {Date} date - Date object
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function formatCalendarDate(date) {
+  return moment.utc(date).format('YYYY-MM-DD');
+}
+
+/**
+ * Build a calendar-date Date object (UTC midnight) for "today" in a timezone,
+ * offset by whole months and days
+ * @param {Object} offset - { months, days, startOfMonth, endOfMonth }
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Date at UTC midnight of the local calendar date
+ */
+function calendarDate(offset = {}, timezone = getDefaultTimezone()) {
+  let local = moment.tz(timezone);
+  if (offset.months) local = local.add(offset.months, 'months');
+  if (offset.startOfMonth) local = local.startOf('month');
+  if (offset.endOfMonth) local = local.endOf('month');
+  if (offset.days) local = local.add(offset.days, 'days');
+  return new Date(`${local.format('YYYY-MM-DD')}T00:00:00.000Z`);
+}
+
+module.exports = {
+  getDefaultTimezone,
+  resolveTimezone,
+  dateFormatsForOrder,
+  toInstant,
+  localDate,
+  localDateTime,
+  getWorkDayBoundaryMinutes,
+  shiftDate,
+  minutesIntoShift,
+  formatCalendarDate,
+  calendarDate
+};
@@ -0,0 +1,73 @@
+const path = require('path');
+const importReport = require('./importReport');
+
+/**
+ * Trip identity and de-duplication.
+ *
+ * Overlapping re-exports and concatenated files repeat trips, which doubles
+ * distances and driving time. A trip is identified by its vehicle, its
+ * absolute start instant and its start odometer, so the same trip from two
+ * exports collapses to one while genuinely different trips never do.
+ */
+
+/**
+ * Normalize a number plate for comparison (ABC-123, abc 123 -> ABC123)
+ * @param {string} plate - Number plate or vehicle ID
+ * @returns {string} Comparable plate
+ */
+function normalizePlate(plate) {
+  return String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Build a trip's identity key
+ * @param {Object} trip - Normalized trip
+ * @returns {string} Identity key (plate|startedAt|start odometer)
+ */
+function tripKey(trip) {
+  const odometer = trip['Start Odometer'] ? (Math.round(trip['Start Odometer'] * 10) / 10).toFixed(1) : '';
+  const started = trip.startedAt || `${trip['Started, date']} ${trip['Started, time']}`;
+  return `${normalizePlate(trip['Number Plate'])}|${started}|${odometer}`;
+}
+
+/**
+ * Drop repeated trips, keeping the first occurrence, and record each dropped
+ * copy in the import report. Sets trip.tripId on the trips kept.
+ * @param {Array} trips - Normalized trips in import order
+ * @param {Object} report - Import report to record duplicates in
+ * @param {Map} seen - Keys already imported (pass one Map across files to dedupe between them)
+ * @returns {Array} Unique trips
+ */
+function dedupeTrips(trips, report, seen = new Map()) {
+  const unique = [];
+
+  trips.forEach(trip => {
+    const key = tripKey(trip);
+    const original = seen.get(key);
+
+    if (original) {
+      const otherFile = original.sourceFile && original.sourceFile !== trip.sourceFile
+        ? ` of ${path.basename(original.sourceFile)}`
+        : '';
+      importReport.recordDuplicate(report, {
+        row: trip.sourceRow,
+        file: trip.sourceFile || null,
+        duplicateOf: { row: original.sourceRow, file: original.sourceFile || null },
+        message: `Same trip as row ${original.sourceRow}${otherFile} (${trip['Number Plate']} ${trip['Started, date']} ${trip['Started, time']})`
+      });
+      return;
+    }
+
+    trip.tripId = key;
+    seen.set(key, trip);
+    unique.push(trip);
+  });
+
+  return unique;
+}
+
+module.exports = {
+  normalizePlate,
+  tripKey,
+  dedupeTrips
+};
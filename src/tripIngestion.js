@@ -0,0 +1,456 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const ExcelJS = require('exceljs');
+const xml2js = require('xml2js');
+const config = require('./config');
+const csvParser = require('./csvParser');
+const csvFormats = require('./csvFormats');
+const importReport = require('./importReport');
+const timezone = require('./timezone');
+const staffAssignments = require('./staffAssignments');
+const tripIdentity = require('./tripIdentity');
+const { haversineKm } = require('./geo');
+
+/**
+ * Trip ingestion for every supported input type.
+ *
+ * CSV goes straight to csvParser. XLSX sheets and JSON arrays are read into
+ * the same header-keyed rows and pushed through the same format profiles and
+ * row validation. GPX/KML tracks have no trips in them, only positions, so
+ * they are split into trips at stops and converted to `generic` profile rows.
+ */
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.json', '.gpx', '.kml'];
+
+/**
+ * Run header-keyed rows through the shared format/validation pipeline
+ * @param {Array} records - [{ row, line }] raw rows keyed by header
+ * @param {Array<string>} headers - Header names
+ * @param {string} filePath - Source file (for the report)
+ * @param {Object} options - Parse options (format, dateOrder, timezone, staffConfig)
+ * @param {string} label - Source type for the log line
+ * @returns {Object} { trips, report }
+ */
+function importRecords(records, headers, filePath, options, label) {
+  const report = importReport.createImportReport({ file: filePath });
+  const adapter = csvFormats.createAdapter(headers, options.format);
+  report.format = adapter.profile.name;
+
+  const trips = [];
+  records.forEach(({ row, line }, index) => {
+    const trip = csvParser.importRow(row, adapter, options, report, { row: index + 1, line });
+    if (trip) trips.push(trip);
+  });
+
+  return csvParser.finishImport(trips, report, label);
+}
+
+/**
+ * Convert an ExcelJS cell value to the text a CSV export would contain
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+
+  if (value instanceof Date) {
+    // ExcelJS returns wall-clock values as UTC; time-only cells sit on the 1899 epoch
+    const cell = moment.utc(value);
+    if (cell.year() < 1900) return cell.format('HH:mm:ss');
+    return cell.hours() || cell.minutes() || cell.seconds()
+      ? cell.format('YYYY-MM-DD HH:mm:ss')
+      : cell.format('YYYY-MM-DD');
+  }
+
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellToString(value.result); // formula
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text); // hyperlink
+    if (value.error) return '';
+  }
+
+  return String(value);
+}
+
+/**
+ * Read trips from an XLSX workbook
+ * @param {string} filePath - Path to .xlsx file
+ * @param {Object} options - Parse options (sheet selects a worksheet by name)
+ * @returns {Promise<Object>} { trips, report }
+ */
+async function readXlsx(filePath, options) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const sheetName = options.sheet || config.ingestion.xlsxSheet;
+  const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!sheet) {
+    throw new Error(sheetName ? `Worksheet "${sheetName}" not found in ${path.basename(filePath)}` : 'Workbook has no worksheets');
+  }
+
+  let headers = null;
+  const records = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    // row.values is 1-based
+    const values = sheetRow.values.slice(1).map(cellToString);
+    if (!headers) {
+      headers = values.map(value => value.trim());
+      return;
+    }
+
+    const row = {};
+    headers.forEach((header, index) => {
+      if (header) row[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    records.push({ row, line: rowNumber });
+  });
+
+  if (!headers) {
+    throw new Error(`Worksheet "${sheet.name}" is empty`);
+  }
+
+  return importRecords(records, headers, filePath, options, 'XLSX');
+}
+
+/**
+ * Read trips from a JSON file holding an array of row objects
+ * (or an object with a `trips` array)
+ * @param {string} filePath - Path to .json file
+ * @param {Object} options - Parse options
+ * @returns {Promise<Object>} { trips, report }
+ */
+async function readJson(filePath, options) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`JSON parsing error: ${error.message}`);
+  }
+
+  const rows = Array.isArray(data) ? data : data && data.trips;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON input must be an array of trips or an object with a "trips" array');
+  }
+
+  // Header set is the union of keys, in first-seen order
+  const headers = [];
+  rows.forEach(row => {
+    Object.keys(row || {}).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+
+  const records = rows.map(row => ({ row: row || {}, line: null }));
+  return importRecords(records, headers, filePath, options, 'JSON');
+}
+
+/**
+ * Recursively collect every element with a given (prefix-stripped) name
+ * @param {*} node - Parsed xml2js node
+ * @param {string} name - Element name
+ * @param {Array} found - Accumulator
+ * @returns {Array} Matching elements
+ */
+function collectElements(node, name, found = []) {
+  if (!node || typeof node !== 'object') return found;
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === '$' || key === '_') return;
+    const children = Array.isArray(value) ? value : [value];
+    if (key === name) found.push(...children);
+    children.forEach(child => collectElements(child, name, found));
+  });
+
+  return found;
+}
+
+/**
+ * Get an element's text content from an xml2js node
+ */
+function textOf(node) {
+  if (node === undefined || node === null) return '';
+  return typeof node === 'object' ? String(node._ || '') : String(node);
+}
+
+/**
+ * Extract timestamped tracks from GPX (trk/trkseg/trkpt) or KML (gx:Track)
+ * @param {Object} document - Parsed XML document
+ * @param {string} type - 'gpx' or 'kml'
+ * @returns {Array<Array>} Tracks, each an array of { lat, lon, time } sorted by time
+ */
+function extractTracks(document, type) {
+  const tracks = [];
+
+  if (type === 'gpx') {
+    collectElements(document, 'trkseg').forEach(segment => {
+      tracks.push((segment.trkpt || []).map(point => ({
+        lat: parseFloat(point.$ && point.$.lat),
+        lon: parseFloat(point.$ && point.$.lon),
+        time: Date.parse(textOf(point.time && point.time[0]))
+      })));
+    });
+  } else {
+    collectElements(document, 'Track').forEach(track => {
+      const whens = track.when || [];
+      const coords = track.coord || [];
+      tracks.push(whens.map((when, index) => {
+        const [lon, lat] = textOf(coords[index]).trim().split(/\s+/).map(Number);
+        return { lat, lon, time: Date.parse(textOf(when)) };
+      }));
+    });
+  }
+
+  return tracks
+    .map(points => points
+      .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lon) && Number.isFinite(point.time))
+      .sort((a, b) => a.time - b.time))
+    .filter(points => points.length >= 2);
+}
+
+/**
+ * Find stops in a track: runs of points that stay within the stop radius of
+ * their first point for at least the minimum stop duration
+ * @param {Array} points - Time-sorted points
+ * @param {Object} settings - { minStopMinutes, stopRadiusMetres }
+ * @returns {Array} Stops as { start, end } point indexes
+ */
+function findStops(points, settings) {
+  const stops = [];
+  const radiusKm = settings.stopRadiusMetres / 1000;
+  const minStopMs = settings.minStopMinutes * 60000;
+
+  let index = 0;
+  while (index < points.length) {
+    let last = index;
+    while (last + 1 < points.length && haversineKm(points[index], points[last + 1]) <= radiusKm) {
+      last++;
+    }
+
+    if (points[last].time - points[index].time >= minStopMs) {
+      stops.push({ start: index, end: last });
+      index = last + 1;
+    } else {
+      index++;
+    }
+  }
+
+  return stops;
+}
+
+/**
+ * Format a point as an address-like "lat, lon" label
+ */
+function pointLabel(point) {
+  return `${point.lat.toFixed(5)}, ${point.lon.toFixed(5)}`;
+}
+
+/**
+ * Split a track into trips at its stops and describe each as a `generic`
+ * profile row
+ * @param {Array} points - Time-sorted points
+ * @param {Object} options - Parse options (plate, timezone, staffConfig)
+ * @returns {Array<Object>} Generic profile rows
+ */
+function segmentTrack(points, options) {
+  const settings = config.ingestion.gps;
+  const stops = findStops(points, settings);
+
+  // Movement runs between stops (plus before the first and after the last)
+  const legs = [];
+  let departure = 0;
+  stops.forEach(stop => {
+    if (stop.start > departure) legs.push({ from: departure, to: stop.start, parkedMs: points[stop.end].time - points[stop.start].time });
+    departure = stop.end;
+  });
+  if (departure < points.length - 1) legs.push({ from: departure, to: points.length - 1, parkedMs: 0 });
+
+  const staffConfig = options.staffConfig || {};
+  return legs.map(leg => {
+    let distanceKm = 0;
+    let maxSpeed = 0;
+    for (let i = leg.from + 1; i <= leg.to; i++) {
+      const stepKm = haversineKm(points[i - 1], points[i]);
+      const stepHours = (points[i].time - points[i - 1].time) / 3600000;
+      distanceKm += stepKm;
+      if (stepHours > 0) maxSpeed = Math.max(maxSpeed, stepKm / stepHours);
+    }
+
+    const start = points[leg.from];
+    const finish = points[leg.to];
+    const durationSeconds = Math.round((finish.time - start.time) / 1000);
+    const startDate = timezone.localDate(start.time, timezone.resolveTimezone({ timezone: options.timezone, staffConfig }));
+    const plate = options.plate || staffAssignments.resolveStaffConfig(staffConfig, startDate).vehicleId || '';
+    const tripTimezone = timezone.resolveTimezone({ timezone: options.timezone, plate, staffConfig });
+    const startLocal = timezone.localDateTime(start.time, tripTimezone);
+    const finishLocal = timezone.localDateTime(finish.time, tripTimezone);
+
+    return {
+      distanceKm,
+      row: {
+        vehicle: plate,
+        driver: staffConfig.fullName || '',
+        start_date: startLocal.date,
+        start_time: startLocal.time,
+        from: pointLabel(start),
+        end_date: finishLocal.date,
+        end_time: finishLocal.time,
+        to: pointLabel(finish),
+        distance_km: Math.round(distanceKm * 100) / 100,
+        duration_seconds: durationSeconds,
+        idle_seconds: 0,
+        stop_seconds: Math.round(leg.parkedMs / 1000),
+        avg_speed: durationSeconds > 0 ? Math.round(distanceKm / (durationSeconds / 3600)) : 0,
+        max_speed: Math.round(maxSpeed)
+      }
+    };
+  })
+    // GPS jitter inside a stop isn't a trip
+    .filter(leg => leg.distanceKm * 1000 >= settings.stopRadiusMetres)
+    .map(leg => leg.row);
+}
+
+/**
+ * Read trips from a GPX or KML track file
+ * @param {string} filePath - Path to .gpx or .kml file
+ * @param {Object} options - Parse options
+ * @returns {Promise<Object>} { trips, report }
+ */
+async function readTrack(filePath, options) {
+  const type = path.extname(filePath).toLowerCase().slice(1);
+  const parser = new xml2js.Parser({
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+  });
+
+  let document;
+  try {
+    document = await parser.parseStringPromise(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${type.toUpperCase()} parsing error: ${error.message}`);
+  }
+
+  const tracks = extractTracks(document, type);
+  if (tracks.length === 0) {
+    throw new Error(`No timestamped track points found in ${path.basename(filePath)}`);
+  }
+
+  const rows = tracks.flatMap(points => segmentTrack(points, options));
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : ['vehicle', 'start_date', 'start_time', 'end_date', 'end_time'];
+  const records = rows.map(row => ({ row, line: null }));
+
+  const result = importRecords(records, headers, filePath, { ...options, format: 'generic', dateOrder: 'YMD' }, type.toUpperCase());
+  result.report.format = type;
+  return result;
+}
+
+/**
+ * Load trips from one or more files of any supported type. Several files are
+ * combined into one report, and trips repeated between them are dropped.
+ * @param {string|Array<string>} filePaths - Path(s) to .csv, .xlsx, .json, .gpx or .kml files
+ * @param {Object} options - Parse options (format, dateOrder, timezone, staffConfig; sheet for XLSX; plate for GPX/KML)
+ * @returns {Promise<Object>} { trips, report }
+ */
+async function loadTrips(filePaths, options = {}) {
+  if (!Array.isArray(filePaths)) {
+    return loadFile(filePaths, options);
+  }
+  if (filePaths.length === 1) {
+    return loadFile(filePaths[0], options);
+  }
+
+  const results = [];
+  for (const filePath of filePaths) {
+    results.push(await loadFile(filePath, options));
+  }
+
+  const report = importReport.mergeReports(results.map(result => result.report));
+  const trips = tripIdentity.dedupeTrips(results.flatMap(result => result.trips), report);
+  trips.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+  console.log(`📊 Combined ${filePaths.length} files: ${importReport.summarize(report)}`);
+  return { trips, report };
+}
+
+/**
+ * Load trips from a single file, dispatching on its extension
+ * @param {string} filePath - Path to the file
+ * @param {Object} options - Parse options
+ * @returns {Promise<Object>} { trips, report }
+ */
+async function loadFile(filePath, options) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  switch (extension) {
+    case '.csv':
+      return csvParser.parseCSV(filePath, options);
+    case '.xlsx':
+      return readXlsx(filePath, options);
+    case '.json':
+      return readJson(filePath, options);
+    case '.gpx':
+    case '.kml':
+      return readTrack(filePath, options);
+    default:
+      throw new Error(`Unsupported trip file type "${extension}". Supported: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Check whether a file name is a supported trip input
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True if supported
+ */
+function isSupportedFile(fileName) {
+  return SUPPORTED_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Get the staff ID a trip file belongs to: <staffId>.<ext>, or
+ * <staffId>-<anything>.<ext> for additional exports (e.g. Ali_M-2025-05.xlsx)
+ * @param {string} fileName - File name
+ * @returns {string|null} Configured staff ID, or null
+ */
+function staffIdForFile(fileName) {
+  if (!isSupportedFile(fileName)) return null;
+  const name = path.basename(fileName, path.extname(fileName));
+  if (config.staff[name]) return name;
+
+  const dash = name.indexOf('-');
+  const prefix = dash > 0 ? name.slice(0, dash) : null;
+  return prefix && config.staff[prefix] ? prefix : null;
+}
+
+/**
+ * Find all of a staff member's trip files
+ * @param {string} staffId - Staff identifier
+ * @param {string} directory - Input directory (defaults to config.directories.csvInput)
+ * @returns {Promise<Array<string>>} Paths, main file first then by name (empty if none exist)
+ */
+async function findStaffFiles(staffId, directory = config.directories.csvInput) {
+  const isMain = file => path.basename(file, path.extname(file)) === staffId;
+  const files = await fs.readdir(directory);
+  return files
+    .filter(file => staffIdForFile(file) === staffId)
+    .sort((a, b) => (isMain(b) - isMain(a)) || a.localeCompare(b))
+    .map(file => path.join(directory, file));
+}
+
+/**
+ * List configured staff members that have a trip file in a directory
+ * @param {string} directory - Input directory (defaults to config.directories.csvInput)
+ * @returns {Promise<Array<string>>} Staff IDs
+ */
+async function listStaffWithFiles(directory = config.directories.csvInput) {
+  const files = await fs.readdir(directory);
+  const staffIds = files.map(staffIdForFile).filter(Boolean);
+  return [...new Set(staffIds)];
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  loadTrips,
+  isSupportedFile,
+  staffIdForFile,
+  findStaffFiles,
+  listStaffWithFiles
+};
@@ -5,15 +5,18 @@ const fsPromises = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const xml2js = require('xml2js');
+const RequestScheduler = require('./requestScheduler');
+const ApiCache = require('./apiCache');
 
 class WFXApiClient {
   constructor() {
     this.accessToken = null;
     this.refreshToken = null;
     this.tokenExpiry = null;
-    this.cache = new Map();
+    this.cache = ApiCache.getInstance();
     this.tokenPath = process.env.TOKEN_STORAGE_PATH || path.join(config.directories.data, 'wfx_tokens.json');
     this.codeVerifier = null;
+    this.scheduler = new RequestScheduler();
     
     // Initialize with saved tokens if available - synchronous to avoid race conditions
     this.tokensLoaded = this.loadSavedTokensSync();
@@ -146,21 +149,6 @@ class WFXApiClient {
     }
   }
 
-  /**
-   * Get cache key for API request
-   */
-  getCacheKey(endpoint, params = {}) {
-    return `${endpoint}_${JSON.stringify(params)}`;
-  }
-
-  /**
-   * Check if cached response is still valid
-   */
-  isCacheValid(cacheEntry) {
-    const ageMinutes = (Date.now() - cacheEntry.timestamp) / (1000 * 60);
-    return ageMinutes < config.performance.cacheTimeMinutes;
-  }
-
   /**
    * Generate OAuth authorization URL (No PKCE for WorkflowMax)
    * @param {string} customCallbackUrl - Optional custom callback URL
@@ -324,9 +312,9 @@ class WFXApiClient {
   }
 
   /**
-   * Make HTTP request with retry logic
+   * Make HTTP request through the scheduler (concurrency, rate budget, retries)
    */
-  async makeRequest(method, url, data = null, useAuth = true, retryCount = 0) {
+  async makeRequest(method, url, data = null, useAuth = true) {
     const requestConfig = {
       method,
       url,
@@ -350,21 +338,7 @@ class WFXApiClient {
       requestConfig.data = data;
     }
 
-    try {
-      return await axios(requestConfig);
-    } catch (error) {
-      // Retry logic for network errors
-      if (retryCount < (config.performance?.maxRetries || 3) && 
-          (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT' || 
-           error.response?.status >= 500)) {
-        
-        console.warn(`⚠️ Request failed, retrying (${retryCount + 1}/${config.performance?.maxRetries || 3})...`);
-        await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1))); // Exponential backoff
-        return this.makeRequest(method, url, data, useAuth, retryCount + 1);
-      }
-      
-      throw error;
-    }
+    return this.scheduler.schedule(() => axios(requestConfig), `${method} ${url.replace(config.wfx.baseUrl, '')}`);
   }
 
   /**
@@ -380,12 +354,11 @@ class WFXApiClient {
 
     // Check cache for GET requests
     if (method === 'GET' && useCache) {
-      const cacheKey = this.getCacheKey(endpoint, data);
-      const cached = this.cache.get(cacheKey);
+      const cached = this.cache.get(endpoint, data);
       
-      if (cached && this.isCacheValid(cached)) {
+      if (cached !== undefined) {
         console.log(`📋 Using cached data for ${endpoint}`);
-        return cached.data;
+        return cached;
       }
     }
 
@@ -435,11 +408,7 @@ class WFXApiClient {
       
       // Cache GET responses
       if (method === 'GET' && useCache) {
-        const cacheKey = this.getCacheKey(endpoint, data);
-        this.cache.set(cacheKey, {
-          data: responseData,
-          timestamp: Date.now()
-        });
+        this.cache.set(endpoint, data, responseData);
       }
 
       return responseData;
@@ -483,13 +452,15 @@ class WFXApiClient {
    * Get timesheets for a date range
    * @param {string} startDate - Start date (YYYY-MM-DD)
    * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Object} paging - Optional { page, pageSize }
    * @returns {Promise<Array>} Array of timesheets
    */
-  async getTimesheets(startDate, endDate) {
+  async getTimesheets(startDate, endDate, paging = {}) {
     return this.apiRequest(`/time.api/list`, 'GET', {
       from: startDate,
       to: endDate,
-      detailed: true
+      detailed: true,
+      ...paging
     });
   }
 
@@ -546,14 +517,20 @@ class WFXApiClient {
     console.log('🗑️ Cache cleared');
   }
 
+  /**
+   * Clear cached responses selectively
+   * @param {Object} filters - { endpoint, staffId, from, to } - see ApiCache.invalidate
+   * @returns {number} Entries removed
+   */
+  invalidateCache(filters) {
+    return this.cache.invalidate(filters);
+  }
+
   /**
    * Get cache statistics
    */
   getCacheStats() {
-    return {
-      size: this.cache.size,
-      entries: Array.from(this.cache.keys())
-    };
+    return this.cache.getStats();
   }
 
   /**
@@ -0,0 +1,436 @@
+/**
+ * WorkflowMax domain model.
+ *
+ * The API answers in XML (parsed by xml2js into `Response.Times.Time`,
+ * `Response.Job`, ...) or JSON, with field names that vary between versions
+ * (`Staff.UUID` vs `StaffUUID`, `Minutes` vs `minutes`). The mappers below turn
+ * any of those into plain objects with one set of field names, so the rest of
+ * the code never looks at a raw response. A response or record that doesn't
+ * fit raises a WfxSchemaError naming what was missing and where.
+ */
+
+/**
+ * @typedef {Object} Client
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} address
+ * @property {string|null} email
+ * @property {string|null} phone
+ */
+
+/**
+ * @typedef {Object} Staff
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} email
+ * @property {string|null} phone
+ */
+
+/**
+ * @typedef {Object} Task
+ * @property {string|null} id
+ * @property {string} name
+ * @property {number|null} estimatedMinutes
+ * @property {number|null} actualMinutes
+ * @property {boolean} completed
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - Job number used by /job.api/get
+ * @property {string|null} uuid
+ * @property {string} name
+ * @property {string} description
+ * @property {string|null} address - Site address, when the job has one
+ * @property {string|null} state
+ * @property {string|null} type
+ * @property {string|null} startDate - YYYY-MM-DD
+ * @property {string|null} dueDate - YYYY-MM-DD
+ * @property {Client|null} client
+ * @property {Array<Task>} tasks
+ */
+
+/**
+ * @typedef {Object} TimeEntry
+ * @property {string|null} id
+ * @property {string} staffId
+ * @property {string|null} staffName
+ * @property {string|null} jobId
+ * @property {string|null} jobName
+ * @property {string|null} clientName
+ * @property {string|null} taskId
+ * @property {string|null} taskName
+ * @property {string} date - YYYY-MM-DD
+ * @property {string|null} startTime - HH:mm
+ * @property {string|null} endTime - HH:mm
+ * @property {number} minutes
+ * @property {string} note
+ * @property {boolean|null} billable
+ */
+
+class WfxSchemaError extends Error {
+  /**
+   * @param {string} message - What didn't fit
+   * @param {Object} details - { path, keys } - where, and the keys found there;
+   *                           { status, description } for a response that isn't OK
+   */
+  constructor(message, details = {}) {
+    const where = details.path ? ` at ${details.path}` : '';
+    const found = details.keys ? ` (found: ${details.keys.join(', ') || 'nothing'})` : '';
+    super(`Unexpected WFX response${where}: ${message}${found}`);
+    this.name = 'WfxSchemaError';
+    this.path = details.path || null;
+    this.keys = details.keys || null;
+    this.status = details.status || null;
+    this.description = details.description || null;
+  }
+}
+
+/**
+ * Read a text value - xml2js gives '' for empty elements and objects for nested ones
+ */
+function text(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') return null;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * First present value among several spellings of a field
+ */
+function pick(raw, ...keys) {
+  for (const key of keys) {
+    if (raw[key] !== undefined && raw[key] !== null && raw[key] !== '') return raw[key];
+  }
+  return undefined;
+}
+
+function toNumber(value) {
+  const number = parseFloat(text(value));
+  return Number.isFinite(number) ? number : null;
+}
+
+function toBoolean(value) {
+  const raw = text(value);
+  if (raw === null) return null;
+  return raw.toLowerCase() === 'true' || raw === '1' || raw.toLowerCase() === 'yes';
+}
+
+/**
+ * Date part of "2025-05-12", "2025-05-12T00:00:00" or "20250512"
+ */
+function toDate(value) {
+  const raw = text(value);
+  if (!raw) return null;
+  if (/^\d{8}$/.test(raw)) return `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}`;
+  return /^\d{4}-\d{2}-\d{2}/.test(raw) ? raw.substring(0, 10) : null;
+}
+
+/**
+ * Time part of "08:30", "08:30:00" or "2025-05-12T08:30:00"
+ */
+function toTime(value) {
+  const raw = text(value);
+  if (!raw) return null;
+  const match = raw.match(/(?:T|^)(\d{1,2}):(\d{2})/);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Wrap a single xml2js element in an array
+ */
+function asArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Read a nested { ID/UUID, Name } reference, or a bare id
+ */
+function reference(value) {
+  if (value === undefined || value === null || value === '') return { id: null, name: null };
+  if (typeof value !== 'object') return { id: text(value), name: null };
+  return {
+    id: text(pick(value, 'ID', 'UUID', 'Id', 'id', 'uuid', 'UserID')),
+    name: text(pick(value, 'Name', 'name'))
+  };
+}
+
+function keysOf(value) {
+  return value && typeof value === 'object' ? Object.keys(value) : [];
+}
+
+/**
+ * Throw on an API-level error response (<Status>ERROR</Status>) - it comes
+ * back as HTTP 200, so nothing upstream has caught it
+ */
+function checkStatus(response) {
+  const status = response && response.Response && text(response.Response.Status);
+  if (status && status.toUpperCase() !== 'OK') {
+    const description = text(response.Response.ErrorDescription);
+    throw new WfxSchemaError(`status ${status}${description ? ` - ${description}` : ''}`, {
+      path: 'Response.Status',
+      status,
+      description
+    });
+  }
+}
+
+/**
+ * Find a list in a response, trying each known wrapper
+ * @param {*} response - Parsed response
+ * @param {Array<Array<string>>} paths - Candidate paths; the last key is the item element
+ * @param {string} what - What the list holds, for errors
+ * @returns {Array} Raw items
+ */
+function findList(response, paths, what) {
+  if (Array.isArray(response)) return response;
+  if (!response || typeof response !== 'object') {
+    throw new WfxSchemaError(`expected a ${what} list, got ${response === '' ? 'an empty body' : typeof response}`);
+  }
+  checkStatus(response);
+
+  for (const candidate of paths) {
+    const containerPath = candidate.slice(0, -1);
+    const itemKey = candidate[candidate.length - 1];
+    const container = containerPath.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), response);
+    if (container === undefined) continue;
+
+    // Empty list elements parse to ''
+    if (container === '' || container === null) return [];
+    if (Array.isArray(container)) return container;
+    if (typeof container === 'object') return asArray(container[itemKey]);
+  }
+
+  const root = response.Response || response;
+  throw new WfxSchemaError(`no ${what} list`, { path: response.Response ? 'Response' : '(root)', keys: keysOf(root) });
+}
+
+/**
+ * Map a client record
+ * @param {Object} raw - Raw client
+ * @returns {Client} Client
+ */
+function mapClient(raw) {
+  const ref = reference(raw);
+  if (!ref.name && !ref.id) {
+    throw new WfxSchemaError('client has neither an id nor a name', { path: 'Client', keys: keysOf(raw) });
+  }
+  const source = typeof raw === 'object' ? raw : {};
+  return {
+    id: ref.id,
+    name: ref.name || ref.id,
+    address: text(pick(source, 'Address', 'address')),
+    email: text(pick(source, 'Email', 'email')),
+    phone: text(pick(source, 'Phone', 'phone'))
+  };
+}
+
+/**
+ * Map a staff record
+ * @param {Object} raw - Raw staff member
+ * @returns {Staff} Staff
+ */
+function mapStaff(raw) {
+  const ref = reference(raw);
+  if (!ref.id) {
+    throw new WfxSchemaError('staff member has no UUID/ID', { path: 'Staff', keys: keysOf(raw) });
+  }
+  return {
+    id: ref.id,
+    name: ref.name || ref.id,
+    email: text(pick(raw, 'Email', 'email')),
+    phone: text(pick(raw, 'Phone', 'Mobile', 'phone'))
+  };
+}
+
+/**
+ * Map a task record
+ * @param {Object} raw - Raw task
+ * @returns {Task} Task
+ */
+function mapTask(raw) {
+  const ref = reference(raw);
+  return {
+    id: ref.id,
+    name: ref.name || ref.id || 'Task',
+    estimatedMinutes: toNumber(pick(raw, 'EstimatedMinutes', 'estimatedMinutes')),
+    actualMinutes: toNumber(pick(raw, 'ActualMinutes', 'actualMinutes')),
+    completed: toBoolean(pick(raw, 'Completed', 'completed')) === true
+  };
+}
+
+/**
+ * Map a job record
+ * @param {Object} raw - Raw job
+ * @returns {Job} Job
+ */
+function mapJob(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new WfxSchemaError('expected a job record', { path: 'Job' });
+  }
+  const id = text(pick(raw, 'ID', 'Id', 'id', 'UUID'));
+  if (!id) {
+    throw new WfxSchemaError('job has no ID', { path: 'Job', keys: keysOf(raw) });
+  }
+
+  const rawClient = pick(raw, 'Client', 'client');
+  const clientName = text(pick(raw, 'ClientName', 'clientName'));
+  let client = null;
+  if (rawClient !== undefined) {
+    client = mapClient(rawClient);
+  } else if (clientName) {
+    client = { id: null, name: clientName, address: null, email: null, phone: null };
+  }
+
+  const tasks = pick(raw, 'Tasks', 'tasks');
+  return {
+    id,
+    uuid: text(pick(raw, 'UUID', 'uuid')),
+    name: text(pick(raw, 'Name', 'name')) || `Job ${id}`,
+    description: text(pick(raw, 'Description', 'description', 'Notes', 'notes')) || '',
+    address: text(pick(raw, 'Address', 'address', 'SiteAddress', 'Location', 'location')),
+    state: text(pick(raw, 'State', 'Status', 'state', 'status')),
+    type: text(pick(raw, 'Type', 'Category', 'type', 'category')),
+    startDate: toDate(pick(raw, 'StartDate', 'startDate')),
+    dueDate: toDate(pick(raw, 'DueDate', 'dueDate')),
+    client,
+    tasks: (Array.isArray(tasks) ? tasks : asArray(tasks && tasks.Task)).map(mapTask)
+  };
+}
+
+/**
+ * Map a time entry record
+ * @param {Object} raw - Raw time entry
+ * @param {string} path - Where it sits in the response, for errors
+ * @returns {TimeEntry} Time entry
+ */
+function mapTimeEntry(raw, path = 'Time') {
+  if (!raw || typeof raw !== 'object') {
+    throw new WfxSchemaError('expected a time entry record', { path });
+  }
+
+  const staff = reference(pick(raw, 'Staff', 'staff'));
+  const staffId = staff.id || text(pick(raw, 'StaffUUID', 'StaffID', 'staffId'));
+  if (!staffId) {
+    throw new WfxSchemaError('time entry has no staff member', { path, keys: keysOf(raw) });
+  }
+
+  const date = toDate(pick(raw, 'Date', 'date'));
+  if (!date) {
+    throw new WfxSchemaError(`time entry has no valid Date (${JSON.stringify(raw.Date || raw.date || null)})`, { path, keys: keysOf(raw) });
+  }
+
+  const minutes = toNumber(pick(raw, 'Minutes', 'TotalMinutes', 'minutes'));
+  if (minutes === null) {
+    throw new WfxSchemaError('time entry has no Minutes', { path, keys: keysOf(raw) });
+  }
+
+  const rawJob = pick(raw, 'Job', 'job');
+  const job = reference(rawJob);
+  const client = rawJob && typeof rawJob === 'object' ? reference(pick(rawJob, 'Client', 'client')) : { name: null };
+  const task = reference(pick(raw, 'Task', 'task'));
+
+  return {
+    id: text(pick(raw, 'UUID', 'ID', 'Id', 'id')),
+    staffId,
+    staffName: staff.name,
+    jobId: job.id || text(pick(raw, 'JobID', 'jobId')),
+    jobName: job.name,
+    clientName: client.name || text(pick(raw, 'ClientName', 'clientName')),
+    taskId: task.id,
+    taskName: task.name,
+    date,
+    startTime: toTime(pick(raw, 'Start', 'StartTime', 'startTime')),
+    endTime: toTime(pick(raw, 'End', 'EndTime', 'endTime')),
+    minutes,
+    note: text(pick(raw, 'Note', 'note')) || '',
+    billable: toBoolean(pick(raw, 'Billable', 'billable'))
+  };
+}
+
+/**
+ * Parse a /time.api/list response
+ * @param {*} response - Parsed XML or JSON
+ * @returns {Array<TimeEntry>} Time entries
+ */
+function parseTimeEntries(response) {
+  const items = findList(response, [
+    ['Response', 'Times', 'Time'],
+    ['Response', 'TimesheetList', 'Timesheet'],
+    ['Times', 'Time'],
+    ['Timesheets', 'Timesheet'],
+    ['TimeSheet', 'TimeSheet']
+  ], 'time entry');
+  return items.map((item, index) => mapTimeEntry(item, `Time[${index}]`));
+}
+
+/**
+ * Parse a /job.api/get response
+ * @param {*} response - Parsed XML or JSON
+ * @returns {Job} Job
+ */
+function parseJob(response) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    throw new WfxSchemaError('expected a job', { path: '(root)' });
+  }
+  checkStatus(response);
+
+  const raw = (response.Response && response.Response.Job) || response.Job || response.job || response;
+  return mapJob(Array.isArray(raw) ? raw[0] : raw);
+}
+
+/**
+ * Parse a /job.api/list response
+ * @param {*} response - Parsed XML or JSON
+ * @returns {Array<Job>} Jobs
+ */
+function parseJobs(response) {
+  return findList(response, [
+    ['Response', 'Jobs', 'Job'],
+    ['Jobs', 'Job'],
+    ['jobs', 'job']
+  ], 'job').map(mapJob);
+}
+
+/**
+ * Parse a /staff.api/list response
+ * @param {*} response - Parsed XML or JSON
+ * @returns {Array<Staff>} Staff
+ */
+function parseStaffList(response) {
+  return findList(response, [
+    ['Response', 'StaffList', 'Staff'],
+    ['StaffList', 'Staff'],
+    ['Staff', 'Staff'],
+    ['staff', 'staff']
+  ], 'staff').map(mapStaff);
+}
+
+/**
+ * Parse a /client.api/list response
+ * @param {*} response - Parsed XML or JSON
+ * @returns {Array<Client>} Clients
+ */
+function parseClients(response) {
+  return findList(response, [
+    ['Response', 'Clients', 'Client'],
+    ['Clients', 'Client'],
+    ['clients', 'client']
+  ], 'client').map(mapClient);
+}
+
+module.exports = {
+  WfxSchemaError,
+  mapTimeEntry,
+  mapJob,
+  mapClient,
+  mapStaff,
+  mapTask,
+  parseTimeEntries,
+  parseJob,
+  parseJobs,
+  parseStaffList,
+  parseClients
+};